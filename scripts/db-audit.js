@@ -0,0 +1,78 @@
+/**
+ * db-audit.js
+ * Data access layer — Audit log
+ * Handles: reading the log of every row written, filtering it, and
+ *          working out which fields each write changed
+ */
+
+const DBAudit = (() => {
+
+  const ACTIONS = ['insert', 'update', 'delete'];
+  const DEFAULT_LIMIT = 200;
+
+  // Fields that differ between the row before and after, in column order
+  function _changes(before, after) {
+    const keys = Object.keys(after || before || {});
+    return keys
+      .filter(k => JSON.stringify(before?.[k] ?? null) !== JSON.stringify(after?.[k] ?? null))
+      .map(k => ({ field: k, before: before?.[k] ?? null, after: after?.[k] ?? null }));
+  }
+
+  function _entry(e) {
+    const before = e.before ? JSON.parse(e.before) : null;
+    const after  = e.after  ? JSON.parse(e.after)  : null;
+    return { ...e, before, after, changes: _changes(before, after) };
+  }
+
+  // ── Queries ────────────────────────────────────────────────────────────────
+
+  /**
+   * Log entries, newest first
+   * @param {{ from?, to?, operatorId?, table?, action?, search?, limit? }} filters
+   *   from/to are YYYY-MM-DD days, inclusive; operatorId 0 means writes made
+   *   while nobody was signed in; search matches the row before or after
+   * @returns {Object[]} entries with before/after parsed and the changed fields
+   */
+  function getLog({ from = '', to = '', operatorId = null, table = '', action = '', search = '', limit = DEFAULT_LIMIT } = {}) {
+    const where  = [];
+    const params = [];
+    if (from)   { where.push('date(at) >= ?'); params.push(from); }
+    if (to)     { where.push('date(at) <= ?'); params.push(to); }
+    if (operatorId === 0) where.push('operator_name IS NULL');
+    else if (operatorId) { where.push('operator_id = ?'); params.push(operatorId); }
+    if (table)  { where.push('table_name = ?'); params.push(table); }
+    if (action) { where.push('action = ?'); params.push(action); }
+    if (search?.trim()) {
+      where.push('(before LIKE ? OR after LIKE ?)');
+      params.push(`%${search.trim()}%`, `%${search.trim()}%`);
+    }
+
+    return DB.query(`
+      SELECT * FROM audit_log
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `, [...params, limit]).map(_entry);
+  }
+
+  /**
+   * Every write to one record, oldest first
+   */
+  function getRowHistory(table, rowId) {
+    return DB.query(`
+      SELECT * FROM audit_log WHERE table_name = ? AND row_id = ? ORDER BY id
+    `, [table, rowId]).map(_entry);
+  }
+
+  /**
+   * Tables that appear in the log, for filtering
+   */
+  function getTables() {
+    return DB.query('SELECT DISTINCT table_name FROM audit_log ORDER BY table_name').map(r => r.table_name);
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return { ACTIONS, DEFAULT_LIMIT, getLog, getRowHistory, getTables };
+
+})();
@@ -1,7 +1,8 @@
 /**
  * db-booking.js
  * Data access layer — Booking page
- * Handles: drivers, trips, passengers
+ * Handles: drivers, trips, trip status, legs and seats, passengers, cancelling
+ *          and transferring passengers, boarding check-in, payments
  */
 
 const DBBooking = (() => {
@@ -15,6 +16,7 @@ const DBBooking = (() => {
         r.price_ac,
         r.price_no_ac,
         v.capacity,
+        v.layout,
         v.type AS vehicle_type,
         dep.name AS departure,
         dest.name AS destination
@@ -29,20 +31,101 @@ const DBBooking = (() => {
     `, [departureId, destinationId, vehicleId])[0] || null;
   }
 
-  // ── Seats remaining for a trip ─────────────────────────────────────────────
+  /**
+   * Current price for a route with or without AC.
+   * Read once when a trip is created — after that the trip's own fare is used.
+   */
+  function getRouteFare(routeId, hasAc) {
+    const route = DB.query(
+      'SELECT price_ac, price_no_ac FROM routes WHERE id = ?',
+      [routeId]
+    )[0];
+    if (!route) return null;
+    return (hasAc ? route.price_ac : route.price_no_ac) ?? null;
+  }
 
-  function getSeatsRemaining(tripId) {
-    const result = DB.query(`
-      SELECT
-        v.capacity - COUNT(p.id) AS remaining
+  // ── Legs and seats ─────────────────────────────────────────────────────────
+  // A leg is where a passenger boards and gets off, as place ids; blank ends
+  // are the route's departure and destination. Stop positions come from
+  // DBStops and the passenger_legs view. A seat can be sold again once its
+  // passenger has got off.
+
+  /**
+   * A trip's route, fare and capacity with the stops a leg runs between,
+   * or null if there is no such trip
+   */
+  function _leg(query, tripId, { boardId = null, alightId = null } = {}) {
+    const trip = query(`
+      SELECT t.route_id, t.fare, t.has_ac, r.departure_id, r.destination_id, v.capacity
       FROM trips t
       JOIN routes   r ON t.route_id   = r.id
       JOIN vehicles v ON r.vehicle_id = v.id
-      LEFT JOIN passengers p ON p.trip_id = t.id
-      WHERE t.id = ?
-      GROUP BY v.capacity
-    `, [tripId]);
-    return result[0]?.remaining ?? null;
+      WHERE t.id = ? AND t.deleted_at IS NULL
+    `, [tripId])[0];
+    if (!trip) return null;
+    const stops  = DBStops.getStops(trip.route_id);
+    const board  = stops.find(s => s.place_id === Number(boardId || trip.departure_id));
+    const alight = stops.find(s => s.place_id === Number(alightId || trip.destination_id));
+    if (!board || !alight || board.position >= alight.position) {
+      throw new Error('Pick where the passenger boards and gets off, in travel order.');
+    }
+    return { ...trip, stops, board, alight, whole: board.position === 0 && alight.position === stops.length - 1 };
+  }
+
+  // Passengers on a trip who are aboard somewhere between two stop positions
+  function _aboard(query, tripId, from, to) {
+    return query(
+      'SELECT * FROM passenger_legs WHERE trip_id = ? AND board_pos < ? AND alight_pos > ?',
+      [tripId, to, from]
+    );
+  }
+
+  // Passengers aboard on the stretch leaving each stop position
+  function _loads(legs, from, to) {
+    const loads = [];
+    for (let at = from; at < to; at++) {
+      loads.push(legs.filter(l => l.board_pos <= at && l.alight_pos > at).length);
+    }
+    return loads;
+  }
+
+  /**
+   * Seats free for the whole of a leg (the whole route by default)
+   */
+  function getSeatsRemaining(tripId, leg = {}) {
+    const l = _leg(DB.query, tripId, leg);
+    if (!l) return null;
+    const legs = _aboard(DB.query, tripId, l.board.position, l.alight.position);
+    return l.capacity - Math.max(..._loads(legs, l.board.position, l.alight.position));
+  }
+
+  /**
+   * Seats held by someone on part of a leg (the whole route by default)
+   */
+  function getTakenSeats(tripId, leg = {}) {
+    const l = _leg(DB.query, tripId, leg);
+    if (!l) return [];
+    return _aboard(DB.query, tripId, l.board.position, l.alight.position)
+      .map(p => p.seat_no)
+      .filter(n => n !== null)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Full when no leg at all can be sold: every stretch between stops is at capacity
+   */
+  function isTripFull(tripId) {
+    const l = _leg(DB.query, tripId);
+    if (!l) return false;
+    const legs = _aboard(DB.query, tripId, 0, l.alight.position);
+    return _loads(legs, 0, l.alight.position).every(n => n >= l.capacity);
+  }
+
+  // Lowest seat number free for the whole leg, or null when there is none
+  function _firstFreeSeat(query, tripId, leg) {
+    const taken = new Set(_aboard(query, tripId, leg.board.position, leg.alight.position).map(p => p.seat_no));
+    for (let n = 1; n <= leg.capacity; n++) if (!taken.has(n)) return n;
+    return null;
   }
 
   // ── Drivers ────────────────────────────────────────────────────────────────
@@ -51,14 +134,25 @@ const DBBooking = (() => {
     return DB.query('SELECT * FROM drivers WHERE phone = ?', [phone])[0] || null;
   }
 
+  /**
+   * Find the driver for a new trip by phone, adding them if the phone is new.
+   * A known phone under a different name is refused rather than renaming
+   * whoever it belongs to; driver details are edited in Config.
+   * Suspended drivers can't take new trips.
+   */
   async function upsertDriver(name, phone, vehicleNo) {
     const existing = getDriverByPhone(phone);
     if (existing) {
-      // Update name and vehicle plate if changed
-      await DB.run(
-        'UPDATE drivers SET name = ?, vehicle_no = ? WHERE id = ?',
-        [name, vehicleNo, existing.id]
-      );
+      if (existing.name.trim().toLowerCase() !== name.trim().toLowerCase()) {
+        throw new Error(`Phone ${phone} belongs to driver ${existing.name}.`);
+      }
+      if (existing.status === 'suspended') {
+        throw new Error(`Driver ${existing.name} is suspended.`);
+      }
+      // Remember the plate they last drove
+      if (vehicleNo && vehicleNo !== existing.vehicle_no) {
+        await DB.run('UPDATE drivers SET vehicle_no = ? WHERE id = ?', [vehicleNo, existing.id]);
+      }
       return existing.id;
     } else {
       const result = await DB.run(
@@ -79,6 +173,7 @@ const DBBooking = (() => {
         dest.name AS destination,
         v.type    AS vehicle_type,
         v.capacity,
+        v.layout,
         d.name    AS driver_name,
         d.phone   AS driver_phone,
         r.price_ac,
@@ -89,95 +184,594 @@ const DBBooking = (() => {
       JOIN places   dest ON r.destination_id = dest.id
       JOIN vehicles v    ON r.vehicle_id  = v.id
       JOIN drivers  d    ON t.driver_id   = d.id
-      WHERE t.booking_code = ?
+      WHERE t.booking_code = ? AND t.deleted_at IS NULL
     `, [bookingCode])[0] || null;
   }
 
-  async function createTrip({ bookingCode, routeId, driverId, vehicleNo, hasAc }) {
+  async function createTrip({ bookingCode, routeId, driverId, fleetId, hasAc, scheduledAt = null }) {
+    const bus    = _busForTrip(fleetId, routeId, hasAc);
+    const fare   = getRouteFare(routeId, hasAc);
     const result = await DB.run(`
-      INSERT INTO trips (booking_code, route_id, driver_id, vehicle_no, has_ac, booked_at)
-      VALUES (?, ?, ?, ?, ?, datetime('now','localtime'))
-    `, [bookingCode, routeId, driverId, vehicleNo, hasAc ? 1 : 0]);
+      INSERT INTO trips (booking_code, route_id, driver_id, fleet_id, vehicle_no, has_ac, fare, scheduled_at, booked_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now','localtime'))
+    `, [bookingCode, routeId, driverId, bus.id, bus.plate, hasAc ? 1 : 0, fare, _toSqlTime(scheduledAt)]);
     return result.lastInsertRowid;
   }
 
+  /**
+   * The fleet bus for a new trip. It must be in service, of the route's
+   * vehicle type, and have AC fitted if the trip is sold as AC.
+   */
+  function _busForTrip(fleetId, routeId, hasAc) {
+    const bus = DB.query(`
+      SELECT f.*, r.vehicle_id AS route_vehicle_id
+      FROM fleet f, routes r
+      WHERE f.id = ? AND r.id = ?
+    `, [fleetId, routeId])[0];
+    if (!bus) throw new Error('Select a bus from the fleet.');
+    if (bus.status !== 'active') throw new Error(`Bus ${bus.plate} is out of service.`);
+    if (bus.vehicle_id !== bus.route_vehicle_id) throw new Error(`Bus ${bus.plate} is not the vehicle type for this route.`);
+    if (hasAc && !bus.has_ac) throw new Error(`Bus ${bus.plate} has no AC fitted.`);
+    return bus;
+  }
+
+  // 'YYYY-MM-DDTHH:MM' from a datetime-local input → 'YYYY-MM-DD HH:MM'
+  function _toSqlTime(value) {
+    return value ? String(value).replace('T', ' ') : null;
+  }
+
+  // ── Trip status ────────────────────────────────────────────────────────────
+
+  const TRIP_STATUSES = ['open', 'boarding', 'departed', 'arrived', 'cancelled'];
+
+  // Allowed next statuses for each status
+  const TRIP_TRANSITIONS = {
+    open:      ['boarding', 'departed', 'cancelled'],
+    boarding:  ['open', 'departed', 'cancelled'],
+    departed:  ['arrived'],
+    arrived:   [],
+    cancelled: [],
+  };
+
+  // Column stamped with the time a trip enters each status
+  const STATUS_STAMPS = {
+    departed:  'departed_at',
+    arrived:   'arrived_at',
+    cancelled: 'cancelled_at',
+  };
+
+  function isTripOpen(trip) {
+    return !!trip && (trip.status === 'open' || trip.status === 'boarding');
+  }
+
+  function _assertTripOpen(tripId) {
+    const trip = DB.query('SELECT status FROM trips WHERE id = ? AND deleted_at IS NULL', [tripId])[0];
+    if (!trip) throw new Error('Trip not found.');
+    if (!isTripOpen(trip)) throw new Error(`Trip has ${trip.status === 'cancelled' ? 'been cancelled' : trip.status}. Passengers can no longer be changed.`);
+  }
+
+  /**
+   * Move a trip to its next status, stamping the time.
+   * A cancel reason is required when cancelling. A trip leaving from
+   * boarding flags everyone not checked in as a no-show.
+   */
+  async function setTripStatus(tripId, status, { reason = null } = {}) {
+    const trip = DB.query('SELECT status FROM trips WHERE id = ?', [tripId])[0];
+    if (!trip) throw new Error('Trip not found.');
+    if (!TRIP_TRANSITIONS[trip.status]?.includes(status)) {
+      throw new Error(`A trip that is ${trip.status} cannot be marked ${status}.`);
+    }
+    if (status === 'cancelled' && !reason?.trim()) throw new Error('Give a reason for cancelling.');
+
+    const stamp = STATUS_STAMPS[status];
+    await DB.transaction(async ({ run }) => {
+      if (trip.status === 'boarding' && status === 'departed') {
+        run(`
+          UPDATE passengers SET no_show = 1
+          WHERE trip_id = ? AND status = 'booked' AND deleted_at IS NULL AND boarded_at IS NULL
+        `, [tripId]);
+      }
+      run(`
+        UPDATE trips
+        SET status = ?${stamp ? `, ${stamp} = datetime('now','localtime')` : ''},
+            cancel_reason = COALESCE(?, cancel_reason)
+        WHERE id = ?
+      `, [status, status === 'cancelled' ? reason.trim() : null, tripId]);
+    });
+  }
+
+  async function rescheduleTrip(tripId, scheduledAt) {
+    _assertTripOpen(tripId);
+    await DB.run('UPDATE trips SET scheduled_at = ? WHERE id = ?', [_toSqlTime(scheduledAt), tripId]);
+  }
+
   // ── Passengers ─────────────────────────────────────────────────────────────
 
-  function getPassengersByTrip(tripId) {
+  const PAYMENT_METHODS = ['cash', 'transfer', 'pos', 'other'];
+  const ID_TYPES        = ['nin', 'passport', 'drivers_licence', 'voters_card', 'other'];
+
+  // Per-passenger money columns. Refunds reduce both what was collected
+  // and what is still expected, so balance = fare − discount − payments.
+  // A cancelled passenger owes nothing more: whatever they paid and weren't
+  // refunded is kept.
+  const MONEY_COLUMNS = `
+    COALESCE((SELECT SUM(amount) FROM payments WHERE passenger_id = p.id AND kind = 'payment'), 0) AS paid,
+    COALESCE((SELECT SUM(amount) FROM payments WHERE passenger_id = p.id AND kind = 'refund'),  0) AS refunded
+  `;
+
+  function _withBalance(p) {
+    const due = p.status === 'cancelled' ? p.paid : (p.fare || 0) - (p.discount || 0);
+    return {
+      ...p,
+      collected: p.paid - p.refunded,
+      expected:  due - p.refunded,
+      balance:   due - p.paid,
+    };
+  }
+
+  // Where each passenger boards and gets off, by name and stop position
+  const LEG_COLUMNS = `
+    l.board_pos, l.alight_pos,
+    bp.name AS board_place,
+    ap.name AS alight_place
+  `;
+  const LEG_JOINS = `
+    LEFT JOIN passenger_legs l ON l.id = p.id
+    LEFT JOIN places bp ON p.board_id  = bp.id
+    LEFT JOIN places ap ON p.alight_id = ap.id
+  `;
+
+  /**
+   * Passengers holding a seat on a trip; cancelled ones too when all is set.
+   * Cancelled passengers have no board_pos or alight_pos. Passengers in
+   * the trash are left out.
+   */
+  function getPassengersByTrip(tripId, { all = false } = {}) {
     return DB.query(`
-      SELECT * FROM passengers WHERE trip_id = ? ORDER BY id ASC
-    `, [tripId]);
+      SELECT p.*, ${LEG_COLUMNS}, ${MONEY_COLUMNS}
+      FROM passengers p
+      ${LEG_JOINS}
+      WHERE p.trip_id = ? AND p.deleted_at IS NULL ${all ? '' : `AND p.status = 'booked'`}
+      ORDER BY p.id ASC
+    `, [tripId]).map(_withBalance);
+  }
+
+  function getPassenger(passengerId) {
+    const p = DB.query(`
+      SELECT p.*, ${LEG_COLUMNS}, ${MONEY_COLUMNS}
+      FROM passengers p
+      ${LEG_JOINS}
+      WHERE p.id = ? AND p.deleted_at IS NULL
+    `, [passengerId])[0];
+    return p ? _withBalance(p) : null;
+  }
+
+  const _clean = v => String(v ?? '').trim() || null;
+
+  function _checkIdentity({ nokName, nokPhone, idType, idNumber }) {
+    const requireNok = DB.query('SELECT require_nok FROM company LIMIT 1')[0]?.require_nok;
+    if (requireNok && (!_clean(nokName) || !_clean(nokPhone))) {
+      throw new Error('Next of kin name and phone are required.');
+    }
+    if (_clean(idType) && !ID_TYPES.includes(idType)) throw new Error('Unknown ID type.');
+    if (_clean(idType) && !_clean(idNumber)) throw new Error('Enter the ID number.');
+  }
+
+  /**
+   * Book a passenger onto a trip, for the whole route or from boardId to
+   * alightId. The whole route is charged the trip's recorded fare, a
+   * shorter leg the current fare for that leg; either less any discount.
+   * An initial payment is recorded in the same transaction; leaving
+   * payment.amount undefined means paid in full.
+   * Without a seatNo the lowest free seat is given.
+   * Next of kin is required when the company's require_nok switch is on.
+   * The passenger is linked to their directory profile, which is created
+   * or refreshed from these details. Booking someone off the trip's
+   * waitlist passes waitlistId, closing their entry.
+   * The DB triggers enforce seat capacity and the unique index stops two
+   * passengers sharing a seat; both errors are caught here.
+   *
+   * @param {number} tripId
+   * @param {{ name, phone, gender, seatNo?, boardId?, alightId?, nokName?, nokPhone?, idType?,
+   *           idNumber?, address?, discount?, discountReason?, waitlistId?,
+   *           payment?: { amount?, method?, receivedBy? } }} passenger
+   */
+  async function bookPassenger(tripId, {
+    name, phone, gender, seatNo = null, boardId = null, alightId = null,
+    nokName = '', nokPhone = '', idType = '', idNumber = '', address = '',
+    discount = 0, discountReason = null, waitlistId = null, payment = {},
+  }) {
+    _checkIdentity({ nokName, nokPhone, idType, idNumber });
+    const nok = { name: _clean(nokName), phone: _clean(nokPhone) };
+
+    const leg = _leg(DB.query, tripId, { boardId, alightId });
+    if (!leg) throw new Error('Trip not found.');
+    const fare = leg.whole
+      ? (leg.fare ?? 0)
+      : DBStops.getLegFare(leg.route_id, leg.board.place_id, leg.alight.place_id, leg.has_ac);
+    if (fare === null) throw new Error(`No fare is set from ${leg.board.name} to ${leg.alight.name}.`);
+    const off  = Number(discount) || 0;
+    if (off < 0 || off > fare) throw new Error('Discount must be between zero and the fare.');
+    if (off > 0 && !discountReason?.trim()) throw new Error('Give a reason for the discount.');
+
+    const due    = fare - off;
+    const amount = payment.amount === undefined || payment.amount === null || payment.amount === ''
+      ? due
+      : Number(payment.amount);
+    const method = payment.method || 'cash';
+    const clerk  = _clean(payment.receivedBy);
+    if (isNaN(amount) || amount < 0) throw new Error('Amount paid cannot be negative.');
+    if (!PAYMENT_METHODS.includes(method)) throw new Error('Unknown payment method.');
+
+    try {
+      let passengerId, seat;
+      await DB.transaction(async ({ query, run }) => {
+        seat = seatNo ? parseInt(seatNo) : _firstFreeSeat(query, tripId, leg);
+        const travellerId = DBDirectory.upsertTraveller({ query, run }, {
+          name, phone, gender, nokName, nokPhone, idType, idNumber,
+        });
+        passengerId = run(`
+          INSERT INTO passengers (
+            trip_id, name, phone, gender, seat_no, board_id, alight_id,
+            nok_name, nok_phone, id_type, id_number, address,
+            fare, discount, discount_reason, traveller_id
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          tripId, name.trim(), phone.trim(), gender, seat, leg.board.place_id, leg.alight.place_id,
+          nok.name, nok.phone, _clean(idType), _clean(idType) && _clean(idNumber), _clean(address),
+          fare, off, off ? discountReason.trim() : null, travellerId,
+        ]).lastInsertRowid;
+
+        if (amount > 0) {
+          run(`
+            INSERT INTO payments (passenger_id, kind, amount, method, received_by)
+            VALUES (?, 'payment', ?, ?, ?)
+          `, [passengerId, amount, method, clerk]);
+        }
+        if (waitlistId) DBWaitlist.markBooked({ query, run }, waitlistId, tripId, passengerId);
+      });
+      return { success: true, passengerId, seatNo: seat };
+    } catch (err) {
+      if (err.message.includes('fully booked')) {
+        const message = leg.whole
+          ? 'Vehicle is fully booked. No seats remaining.'
+          : `No seats free from ${leg.board.name} to ${leg.alight.name}.`;
+        return { success: false, reason: 'full', message };
+      }
+      if (err.message.includes('Seat is already taken')) {
+        return { success: false, reason: 'seat_taken', message: `Seat ${seatNo} is already taken.` };
+      }
+      if (err.message.includes('Trip is closed') || err.message.includes('Trip is on a closed-out day')) {
+        return { success: false, reason: 'closed', message: err.message };
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Move a passenger to another free seat on the same trip
+   */
+  async function changeSeat(passengerId, seatNo) {
+    const p = DB.query('SELECT trip_id, status FROM passengers WHERE id = ?', [passengerId])[0];
+    if (!p) throw new Error('Passenger not found.');
+    if (p.status !== 'booked') throw new Error('The passenger has been cancelled.');
+    _assertTripOpen(p.trip_id);
+    try {
+      await DB.run('UPDATE passengers SET seat_no = ? WHERE id = ?', [parseInt(seatNo), passengerId]);
+    } catch (err) {
+      if (err.message.includes('Seat is already taken')) throw new Error(`Seat ${seatNo} is already taken.`);
+      throw err;
+    }
+  }
+
+  /**
+   * Move a passenger booked in error to the trash, noting who removed them
+   * and why. Their seat is freed and offered to the waitlist; they can be
+   * restored from the trash until it is purged.
+   * @returns {Promise<Object[]>} waitlist entries newly offered a seat
+   */
+  async function removePassenger(passengerId, { by, reason } = {}) {
+    const p = DB.query('SELECT trip_id FROM passengers WHERE id = ? AND deleted_at IS NULL', [passengerId])[0];
+    if (!p) return [];
+    _assertTripOpen(p.trip_id);
+    if (!by?.trim()) throw new Error('Enter who is removing the passenger.');
+    if (!reason?.trim()) throw new Error('Give a reason for removing the passenger.');
+    await DB.run(`
+      UPDATE passengers
+      SET deleted_at = datetime('now','localtime'), deleted_by = ?, delete_reason = ?
+      WHERE id = ?
+    `, [by.trim(), reason.trim(), passengerId]);
+    return DBWaitlist.offerSeats(p.trip_id);
+  }
+
+  // ── Cancel and transfer ────────────────────────────────────────────────────
+  // Both free a seat, which is offered straight away to whoever is next on
+  // the trip's waitlist. The seat the passenger had is kept on their record.
+
+  // A booked passenger on a trip still at the terminal
+  function _movablePassenger(passengerId) {
+    const p = getPassenger(passengerId);
+    if (!p) throw new Error('Passenger not found.');
+    if (p.status !== 'booked') throw new Error(`${p.name} has already been cancelled.`);
+    _assertTripOpen(p.trip_id);
+    return p;
+  }
+
+  /**
+   * Cancel a booking, giving back some or all of what was paid.
+   * Money not refunded is kept, so the passenger owes nothing afterwards.
+   *
+   * @param {number} passengerId
+   * @param {{ reason: string, refund?: { amount?, method?, receivedBy? } }} data
+   * @returns {Promise<{ passenger, offers }>} offers: waitlist entries now offered a seat
+   */
+  async function cancelPassenger(passengerId, { reason, refund = {} }) {
+    const p = _movablePassenger(passengerId);
+    if (!reason?.trim()) throw new Error('Give a reason for cancelling.');
+    const amount = Number(refund.amount) || 0;
+    const method = refund.method || 'cash';
+    if (amount < 0) throw new Error('Refund amount cannot be negative.');
+    if (amount > p.collected) throw new Error('Refund is more than the passenger has paid.');
+    if (!PAYMENT_METHODS.includes(method)) throw new Error('Unknown payment method.');
+
+    await DB.transaction(async ({ run }) => {
+      run(`
+        UPDATE passengers
+        SET status = 'cancelled', cancelled_at = datetime('now','localtime'), cancel_reason = ?
+        WHERE id = ?
+      `, [reason.trim(), passengerId]);
+      if (amount > 0) {
+        run(`
+          INSERT INTO payments (passenger_id, kind, amount, method, note, received_by)
+          VALUES (?, 'refund', ?, ?, ?, ?)
+        `, [passengerId, amount, method, `Cancelled: ${reason.trim()}`, _clean(refund.receivedBy)]);
+      }
+    });
+    const offers = await DBWaitlist.offerSeats(p.trip_id);
+    return { passenger: getPassenger(passengerId), offers };
   }
 
   /**
-   * Book a passenger onto a trip.
-   * The DB trigger enforces seat capacity automatically.
-   * If vehicle is full the trigger throws and we catch it here.
+   * Move a passenger to another open trip, on this route or another,
+   * keeping their record and payments. They are charged the fare for
+   * their leg on the new trip, so any difference shows in their balance.
+   * A discount carries over, up to the new fare.
+   *
+   * @param {number} passengerId
+   * @param {{ bookingCode: string, seatNo?, boardId?, alightId?, reason?, by? }} data
+   *   blank board and alight points mean the whole of the new route
+   * @returns {Promise<{ success: boolean, passenger?, offers?, reason?, message? }>}
    */
-  async function bookPassenger(tripId, name, phone, gender) {
+  async function transferPassenger(passengerId, {
+    bookingCode, seatNo = null, boardId = null, alightId = null, reason = '', by = null,
+  }) {
+    const p      = _movablePassenger(passengerId);
+    if (!DB.checkBookingCode(bookingCode)) throw new Error(`${bookingCode} is mistyped: its last character doesn't match.`);
+    const target = getTripByBookingCode(String(bookingCode ?? '').trim().toUpperCase());
+    if (!target) throw new Error(`No trip with booking code ${bookingCode}.`);
+    if (target.id === p.trip_id) throw new Error('The passenger is already on that trip.');
+    if (!isTripOpen(target)) throw new Error(`Trip ${target.booking_code} is ${target.status}.`);
+
+    const leg  = _leg(DB.query, target.id, { boardId, alightId });
+    const fare = leg.whole
+      ? (leg.fare ?? 0)
+      : DBStops.getLegFare(leg.route_id, leg.board.place_id, leg.alight.place_id, leg.has_ac);
+    if (fare === null) throw new Error(`No fare is set from ${leg.board.name} to ${leg.alight.name}.`);
+    const off = Math.min(p.discount || 0, fare);
+
     try {
-      const result = await DB.run(`
-        INSERT INTO passengers (trip_id, name, phone, gender)
-        VALUES (?, ?, ?, ?)
-      `, [tripId, name.trim(), phone.trim(), gender]);
-      return { success: true, passengerId: result.lastInsertRowid };
+      let seat;
+      await DB.transaction(async ({ query, run }) => {
+        seat = seatNo ? parseInt(seatNo) : _firstFreeSeat(query, target.id, leg);
+        run(`
+          UPDATE passengers
+          SET trip_id = ?, seat_no = ?, board_id = ?, alight_id = ?, fare = ?, discount = ?,
+              discount_reason = CASE WHEN ? > 0 THEN discount_reason END,
+              boarded_at = NULL
+          WHERE id = ?
+        `, [target.id, seat, leg.board.place_id, leg.alight.place_id, fare, off, off, passengerId]);
+        run(`
+          INSERT INTO passenger_transfers (
+            passenger_id, from_trip_id, to_trip_id, from_seat, to_seat, from_fare, to_fare, reason, transferred_by
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [passengerId, p.trip_id, target.id, p.seat_no, seat, p.fare, fare, _clean(reason), _clean(by)]);
+      });
     } catch (err) {
       if (err.message.includes('fully booked')) {
-        return { success: false, reason: 'full', message: 'Vehicle is fully booked. No seats remaining.' };
+        return { success: false, reason: 'full', message: `No seats free on ${target.booking_code} for that journey.` };
+      }
+      if (err.message.includes('Seat is already taken')) {
+        return { success: false, reason: 'seat_taken', message: `Seat ${seatNo} is already taken on ${target.booking_code}.` };
       }
       throw err;
     }
+    const offers = await DBWaitlist.offerSeats(p.trip_id);
+    return { success: true, passenger: getPassenger(passengerId), offers };
   }
 
-  async function removePassenger(passengerId) {
-    await DB.run('DELETE FROM passengers WHERE id = ?', [passengerId]);
+  /**
+   * Transfers into and out of a trip, oldest first.
+   * direction is 'in' or 'out' as seen from this trip.
+   */
+  function getTransfers(tripId) {
+    return DB.query(`
+      SELECT
+        x.*,
+        p.name,
+        p.phone,
+        CASE WHEN x.from_trip_id = ? THEN 'out' ELSE 'in' END AS direction,
+        ft.booking_code AS from_code,
+        tt.booking_code AS to_code
+      FROM passenger_transfers x
+      JOIN passengers p ON x.passenger_id = p.id
+      JOIN trips ft     ON x.from_trip_id = ft.id
+      JOIN trips tt     ON x.to_trip_id   = tt.id
+      WHERE (x.from_trip_id = ? OR x.to_trip_id = ?) AND p.deleted_at IS NULL
+      ORDER BY x.id ASC
+    `, [tripId, tripId, tripId]);
+  }
+
+  // ── Boarding ───────────────────────────────────────────────────────────────
+
+  function _boardingPassenger(passengerId) {
+    const p = getPassenger(passengerId);
+    if (!p || p.status !== 'booked') throw new Error('Passenger is not booked on any trip.');
+    const trip = DB.query('SELECT booking_code, status FROM trips WHERE id = ? AND deleted_at IS NULL', [p.trip_id])[0];
+    if (!trip) throw new Error('Trip not found.');
+    if (trip.status !== 'boarding') throw new Error(`Trip ${trip.booking_code} is not boarding.`);
+    return p;
+  }
+
+  /**
+   * Check a passenger onto the bus, stamping the time. Only while the
+   * trip is boarding.
+   */
+  async function markBoarded(passengerId) {
+    const p = _boardingPassenger(passengerId);
+    if (p.boarded_at) throw new Error(`${p.name} already boarded at ${p.boarded_at.slice(11, 16)}.`);
+    await DB.run(`UPDATE passengers SET boarded_at = datetime('now','localtime') WHERE id = ?`, [passengerId]);
+    return getPassenger(passengerId);
+  }
+
+  /**
+   * Take back a check-in made by mistake, before the trip leaves
+   */
+  async function unmarkBoarded(passengerId) {
+    _boardingPassenger(passengerId);
+    await DB.run('UPDATE passengers SET boarded_at = NULL WHERE id = ?', [passengerId]);
+    return getPassenger(passengerId);
+  }
+
+  // ── Payments ───────────────────────────────────────────────────────────────
+
+  function getPayments(passengerId) {
+    return DB.query(
+      'SELECT * FROM payments WHERE passenger_id = ? ORDER BY id ASC',
+      [passengerId]
+    );
+  }
+
+  /**
+   * Take a further payment towards a passenger's balance.
+   * receivedBy is the clerk taking it, for the day's close-out.
+   */
+  async function recordPayment(passengerId, { amount, method = 'cash', note = null, receivedBy = null }) {
+    const n = Number(amount);
+    if (isNaN(n) || n <= 0) throw new Error('Payment amount must be more than zero.');
+    if (!PAYMENT_METHODS.includes(method)) throw new Error('Unknown payment method.');
+    await DB.run(`
+      INSERT INTO payments (passenger_id, kind, amount, method, note, received_by)
+      VALUES (?, 'payment', ?, ?, ?, ?)
+    `, [passengerId, n, method, note, _clean(receivedBy)]);
+    return getPassenger(passengerId);
+  }
+
+  /**
+   * Give money back. Can't exceed what the passenger has paid net of
+   * earlier refunds.
+   */
+  async function refundPassenger(passengerId, { amount, method = 'cash', note = null, receivedBy = null }) {
+    const p = getPassenger(passengerId);
+    if (!p) throw new Error('Passenger not found.');
+    const n = Number(amount);
+    if (isNaN(n) || n <= 0) throw new Error('Refund amount must be more than zero.');
+    if (n > p.collected) throw new Error('Refund is more than the passenger has paid.');
+    if (!PAYMENT_METHODS.includes(method)) throw new Error('Unknown payment method.');
+    await DB.run(`
+      INSERT INTO payments (passenger_id, kind, amount, method, note, received_by)
+      VALUES (?, 'refund', ?, ?, ?, ?)
+    `, [passengerId, n, method, note, _clean(receivedBy)]);
+    return getPassenger(passengerId);
   }
 
   // ── Full booking flow ──────────────────────────────────────────────────────
 
   /**
    * The main booking action. Called from the booking page.
-   * Upserts driver, creates or reuses trip, books passenger.
+   * Creates the trip (and its driver) or reuses it, books passenger.
    *
    * @param {Object} data
-   * @returns {{ success: boolean, tripId, passengerId, bookingCode, seatsRemaining }}
+   * @returns {{ success: boolean, tripId, passengerId, bookingCode, seatsRemaining, tripFull }}
+   *   seatsRemaining is for the passenger's leg
    */
   async function bookTrip({
     bookingCode,
     routeId,
-    vehicleNo,
+    fleetId,
     hasAc,
     driverName,
     driverPhone,
     passengerName,
     passengerPhone,
     gender,
+    seatNo,
+    boardId,
+    alightId,
+    waitlistId,
+    nokName,
+    nokPhone,
+    idType,
+    idNumber,
+    address,
+    discount,
+    discountReason,
+    amountPaid,
+    paymentMethod,
+    receivedBy,
+    scheduledAt,
   }) {
-    // 1. Upsert driver
-    const driverId = await upsertDriver(driverName, driverPhone, vehicleNo);
-
-    // 2. Create trip if booking code is new
+    // A trip that has left or been cancelled takes no more bookings
     let trip = getTripByBookingCode(bookingCode);
+    if (trip && !isTripOpen(trip)) {
+      return { success: false, reason: 'closed', message: `Trip ${bookingCode} is ${trip.status}. Start a new trip.` };
+    }
+
+    // Check required passenger details before anything is written
+    _checkIdentity({ nokName, nokPhone, idType, idNumber });
+
+    // 1. Create trip if booking code is new, checking the bus and finding or adding its driver
     let tripId;
 
     if (!trip) {
-      tripId = await createTrip({ bookingCode, routeId, driverId, vehicleNo, hasAc });
+      const bus      = _busForTrip(fleetId, routeId, hasAc);
+      const driverId = await upsertDriver(driverName, driverPhone, bus.plate);
+      tripId = await createTrip({ bookingCode, routeId, driverId, fleetId, hasAc, scheduledAt });
     } else {
       tripId = trip.id;
     }
 
-    // 3. Book passenger (trigger enforces seat cap)
-    const booking = await bookPassenger(tripId, passengerName, passengerPhone, gender);
+    // 2. Book passenger and take payment (trigger enforces seat cap)
+    const booking = await bookPassenger(tripId, {
+      name:    passengerName,
+      phone:   passengerPhone,
+      gender,
+      seatNo,
+      boardId,
+      alightId,
+      nokName,
+      nokPhone,
+      idType,
+      idNumber,
+      address,
+      discount,
+      discountReason,
+      waitlistId,
+      payment: { amount: amountPaid, method: paymentMethod, receivedBy },
+    });
     if (!booking.success) return booking;
 
-    // 4. Return fresh state
-    const remaining = getSeatsRemaining(tripId);
+    // 3. Return fresh state
+    const remaining = getSeatsRemaining(tripId, { boardId, alightId });
     return {
       success: true,
       tripId,
       passengerId: booking.passengerId,
+      seatNo:      booking.seatNo,
       bookingCode,
       seatsRemaining: remaining,
+      tripFull:       isTripFull(tripId),
     };
   }
 
@@ -185,14 +779,33 @@ const DBBooking = (() => {
 
   return {
     getRouteBySelection,
+    getRouteFare,
     getSeatsRemaining,
+    getTakenSeats,
+    isTripFull,
     getDriverByPhone,
     upsertDriver,
     getTripByBookingCode,
     createTrip,
+    TRIP_STATUSES,
+    isTripOpen,
+    setTripStatus,
+    rescheduleTrip,
+    PAYMENT_METHODS,
+    ID_TYPES,
     getPassengersByTrip,
+    getPassenger,
     bookPassenger,
+    changeSeat,
     removePassenger,
+    cancelPassenger,
+    transferPassenger,
+    getTransfers,
+    markBoarded,
+    unmarkBoarded,
+    getPayments,
+    recordPayment,
+    refundPassenger,
     bookTrip,
   };
 
@@ -0,0 +1,164 @@
+/**
+ * db-closeout.js
+ * Data access layer — End-of-day close-out
+ * Handles: takings per clerk and payment method, cash count and variance,
+ *          locking a closed day, close-out history
+ */
+
+const DBCloseout = (() => {
+
+  // A trip belongs to the day it is scheduled for, or was booked on if unscheduled
+  const TRIP_DAY = `date(COALESCE(t.scheduled_at, t.booked_at))`;
+
+  // ── Helpers ────────────────────────────────────────────────────────────────
+
+  // Name of the operator signed in, stamped on every payment they take
+  function getClerk() {
+    return DB.getOperator()?.name || '';
+  }
+
+  function _checkDay(day) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day ?? '')) throw new Error('Pick the day to close.');
+  }
+
+  // ── Day summary ────────────────────────────────────────────────────────────
+
+  /**
+   * Money taken on a day (by payment date) per clerk and method, and the
+   * trips that run that day. expected = taken − refunded; expected_cash is
+   * what should be in the drawer. Payments with no clerk have clerk null.
+   */
+  function getDaySummary(day) {
+    _checkDay(day);
+    const lines = DB.query(`
+      SELECT
+        received_by AS clerk,
+        method,
+        SUM(CASE kind WHEN 'payment' THEN amount ELSE 0 END) AS taken,
+        SUM(CASE kind WHEN 'refund'  THEN amount ELSE 0 END) AS refunded,
+        COUNT(*) AS entries
+      FROM payments
+      WHERE date(created_at) = ?
+      GROUP BY received_by, method
+      ORDER BY received_by IS NULL, received_by, method
+    `, [day]).map(l => ({ ...l, expected: l.taken - l.refunded }));
+
+    const trips = DB.query(`
+      SELECT
+        t.id,
+        t.status,
+        (SELECT COUNT(*) FROM passengers p WHERE p.trip_id = t.id AND p.status = 'booked' AND p.deleted_at IS NULL) AS passengers
+      FROM trips t
+      WHERE t.status != 'cancelled' AND t.deleted_at IS NULL AND ${TRIP_DAY} = ?
+    `, [day]);
+
+    const sum = (rows, col) => rows.reduce((s, r) => s + (r[col] || 0), 0);
+    const cash = lines.filter(l => l.method === 'cash');
+    return {
+      day,
+      lines,
+      clerks:       [...new Set(lines.map(l => l.clerk))],
+      trips:        trips.length,
+      passengers:   sum(trips, 'passengers'),
+      openTrips:    trips.filter(t => t.status === 'open' || t.status === 'boarding').length,
+      taken:        sum(lines, 'taken'),
+      refunded:     sum(lines, 'refunded'),
+      expected:     sum(lines, 'expected'),
+      expectedCash: sum(cash, 'expected'),
+      byMethod:     DBBooking.PAYMENT_METHODS.map(method => ({
+        method,
+        expected: sum(lines.filter(l => l.method === method), 'expected'),
+      })).filter(m => m.expected),
+    };
+  }
+
+  // ── Close-outs ─────────────────────────────────────────────────────────────
+
+  function isDayClosed(day) {
+    return DB.query('SELECT 1 FROM closeouts WHERE business_day = ?', [day]).length > 0;
+  }
+
+  /**
+   * A close-out with its per-clerk lines, by day
+   */
+  function getCloseout(day) {
+    const closeout = DB.query('SELECT * FROM closeouts WHERE business_day = ?', [day])[0];
+    if (!closeout) return null;
+    closeout.lines = DB.query(`
+      SELECT * FROM closeout_lines WHERE closeout_id = ?
+      ORDER BY clerk IS NULL, clerk, method
+    `, [closeout.id]).map(l => ({ ...l, expected: l.taken - l.refunded }));
+    return closeout;
+  }
+
+  /**
+   * Past close-outs, newest first; all of them when no limit is given
+   */
+  function getCloseouts(limit = null) {
+    return DB.query('SELECT * FROM closeouts ORDER BY business_day DESC LIMIT ?', [limit ?? -1]);
+  }
+
+  /**
+   * Close a day: record the cash counted for each clerk against what they
+   * took, and lock the day's trips, passengers and payments. Recorded
+   * against the signed-in operator, who must be allowed to close a day.
+   *
+   * @param {{ day: string, counted: Object<string, number>, note?: string }} data
+   *   counted is keyed by clerk name ('' for payments with no clerk)
+   * @returns {Promise<Object>} the close-out
+   */
+  async function closeDay({ day, counted = {}, note = '' }) {
+    DBOperators.assert('closeDay');
+    _checkDay(day);
+    if (day > DB.localDate()) throw new Error('Cannot close a day that has not happened yet.');
+    if (isDayClosed(day)) throw new Error(`${day} is already closed out.`);
+    const by = getClerk();
+
+    const summary = getDaySummary(day);
+    const count   = {};
+    for (const clerk of summary.clerks) {
+      const n = Number(counted[clerk ?? ''] ?? 0);
+      if (isNaN(n) || n < 0) throw new Error('Counted cash cannot be negative.');
+      count[clerk ?? ''] = n;
+    }
+    const countedCash = Object.values(count).reduce((s, n) => s + n, 0);
+
+    await DB.transaction(async ({ run }) => {
+      const id = run(`
+        INSERT INTO closeouts (
+          business_day, trips, passengers, taken, refunded,
+          expected_cash, counted_cash, variance, note, closed_by
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        day, summary.trips, summary.passengers, summary.taken, summary.refunded,
+        summary.expectedCash, countedCash, countedCash - summary.expectedCash,
+        String(note ?? '').trim() || null, by,
+      ]).lastInsertRowid;
+
+      // Every clerk gets a cash line so their count is kept even if they took no cash
+      const lines = [...summary.lines];
+      for (const clerk of summary.clerks) {
+        if (!lines.some(l => l.clerk === clerk && l.method === 'cash')) {
+          lines.push({ clerk, method: 'cash', taken: 0, refunded: 0 });
+        }
+      }
+      for (const l of lines) {
+        run(`
+          INSERT INTO closeout_lines (closeout_id, clerk, method, taken, refunded, counted)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [id, l.clerk, l.method, l.taken, l.refunded, l.method === 'cash' ? count[l.clerk ?? ''] : null]);
+      }
+    });
+    return getCloseout(day);
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    getClerk,
+    getDaySummary,
+    isDayClosed, getCloseout, getCloseouts, closeDay,
+  };
+
+})();
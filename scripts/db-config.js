@@ -1,11 +1,14 @@
 /**
  * db-config.js
  * Data access layer — Config page
- * Handles: company, places, vehicles, routes
+ * Handles: company, currency and locale, country packs, places, vehicles, routes
  */
 
 const DBConfig = (() => {
 
+  // Country packs: index.json lists them, <code>.json holds each one
+  const PACKS_URL = 'data/countries';
+
   // ── Company ────────────────────────────────────────────────────────────────
 
   function getCompany() {
@@ -22,6 +25,54 @@ const DBConfig = (() => {
     return getCompany();
   }
 
+  /**
+   * When on, bookings must carry a next-of-kin name and phone
+   */
+  async function setRequireNok(required) {
+    const existing = getCompany();
+    if (!existing) throw new Error('Save the company name first.');
+    await DB.run('UPDATE company SET require_nok = ? WHERE id = ?', [required ? 1 : 0, existing.id]);
+    return getCompany();
+  }
+
+  /**
+   * This terminal's booking code prefix, e.g. LAG or ABJ2. Give each
+   * terminal its own so their codes never clash.
+   */
+  async function setBookingPrefix(prefix) {
+    const existing = getCompany();
+    if (!existing) throw new Error('Save the company name first.');
+    const p = String(prefix ?? '').trim().toUpperCase();
+    if (!/^[A-Z0-9]{1,6}$/.test(p)) throw new Error('Prefix must be 1 to 6 letters or digits.');
+    await DB.run('UPDATE company SET booking_prefix = ? WHERE id = ?', [p, existing.id]);
+    return getCompany();
+  }
+
+  // Normalised ISO 4217 currency code and BCP 47 locale, or an error
+  function _checkMoneyFormat(currency, locale) {
+    const cur = String(currency ?? '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(cur)) throw new Error('Currency must be a 3-letter code, e.g. NGN, GHS or KES.');
+    let loc = null;
+    try { [loc] = Intl.getCanonicalLocales(String(locale ?? '').trim()); } catch { loc = null; }
+    if (!loc) throw new Error('Locale must be a language tag, e.g. en-NG.');
+    return { currency: cur, locale: loc };
+  }
+
+  /**
+   * Country the company operates in, and the currency and locale every
+   * amount is shown in
+   */
+  async function setRegion({ countryId = null, currency, locale }) {
+    const existing = getCompany();
+    if (!existing) throw new Error('Save the company name first.');
+    const money = _checkMoneyFormat(currency, locale);
+    await DB.run(
+      'UPDATE company SET country_id = ?, currency = ?, locale = ? WHERE id = ?',
+      [countryId || null, money.currency, money.locale, existing.id]
+    );
+    return getCompany();
+  }
+
   // ── Countries & States ─────────────────────────────────────────────────────
 
   function getCountries() {
@@ -44,6 +95,80 @@ const DBConfig = (() => {
     `);
   }
 
+  /**
+   * Packs shipped with the app
+   * @returns {Promise<{ code: string, name: string }[]>}
+   */
+  async function getCountryPackList() {
+    const res = await fetch(`${PACKS_URL}/index.json`);
+    if (!res.ok) throw new Error(`Could not load the country pack list (${res.status}).`);
+    return res.json();
+  }
+
+  async function fetchCountryPack(code) {
+    const res = await fetch(`${PACKS_URL}/${String(code).toLowerCase()}.json`);
+    if (!res.ok) throw new Error(`No country pack for ${code}.`);
+    return res.json();
+  }
+
+  /**
+   * Add a country and its states or regions from a pack:
+   *   { name, code, currency?, locale?, states: [{ name, code? } | name] }
+   * A country already present (by code or name) is updated in place and
+   * keeps its states, so places linked to them stay linked.
+   * @returns {Promise<{ country: Object, added: number, updated: number }>}
+   */
+  async function loadCountryPack(pack) {
+    const name = String(pack?.name ?? '').trim();
+    const code = String(pack?.code ?? '').trim().toUpperCase();
+    if (!name || !/^[A-Z]{2}$/.test(code)) throw new Error('A country pack needs a name and a 2-letter code.');
+    if (!Array.isArray(pack.states) || !pack.states.length) throw new Error(`The ${name} pack has no states or regions.`);
+    const money = pack.currency || pack.locale
+      ? _checkMoneyFormat(pack.currency, pack.locale)
+      : { currency: null, locale: null };
+
+    let countryId, added = 0, updated = 0;
+    await DB.transaction(async ({ query, run }) => {
+      const existing = query(
+        'SELECT * FROM countries WHERE code = ? COLLATE NOCASE OR name = ? COLLATE NOCASE',
+        [code, name]
+      );
+      if (existing.length > 1) throw new Error(`${name} (${code}) matches two countries already set up.`);
+      if (existing[0]) {
+        countryId = existing[0].id;
+        run(`
+          UPDATE countries SET name = ?, code = ?, currency = COALESCE(?, currency), locale = COALESCE(?, locale)
+          WHERE id = ?
+        `, [name, code, money.currency, money.locale, countryId]);
+      } else {
+        countryId = run(
+          'INSERT INTO countries (name, code, currency, locale) VALUES (?, ?, ?, ?)',
+          [name, code, money.currency, money.locale]
+        ).lastInsertRowid;
+      }
+
+      for (const entry of pack.states) {
+        const s      = typeof entry === 'string' ? { name: entry } : entry;
+        const sName  = String(s?.name ?? '').trim();
+        const sCode  = String(s?.code ?? '').trim() || null;
+        if (!sName) throw new Error(`The ${name} pack has a state with no name.`);
+        const current = query(
+          'SELECT * FROM states WHERE country_id = ? AND name = ? COLLATE NOCASE',
+          [countryId, sName]
+        )[0];
+        if (!current) {
+          run('INSERT INTO states (country_id, name, code) VALUES (?, ?, ?)', [countryId, sName, sCode]);
+          added++;
+        } else if (sCode && current.code !== sCode) {
+          run('UPDATE states SET code = ? WHERE id = ?', [sCode, current.id]);
+          updated++;
+        }
+      }
+    });
+    const country = DB.query('SELECT * FROM countries WHERE id = ?', [countryId])[0];
+    return { country, added, updated };
+  }
+
   // ── Places ─────────────────────────────────────────────────────────────────
 
   function getPlaces() {
@@ -57,13 +182,21 @@ const DBConfig = (() => {
   }
 
   async function addPlace(name, stateId = null) {
-    const trimmed = name.trim();
+    await DB.transaction(async tx => insertPlace(tx, name, stateId));
+    return getPlaces();
+  }
+
+  /**
+   * Add a place inside a transaction. Called with its { query, run }.
+   * @returns {number} place id
+   */
+  function insertPlace({ run }, name, stateId = null) {
+    const trimmed = String(name ?? '').trim();
     if (!trimmed) throw new Error('Place name cannot be empty.');
-    await DB.run(
+    return run(
       'INSERT INTO places (name, state_id) VALUES (?, ?)',
       [trimmed, stateId]
-    );
-    return getPlaces();
+    ).lastInsertRowid;
   }
 
   async function updatePlaceState(placeId, stateId) {
@@ -77,28 +210,53 @@ const DBConfig = (() => {
     return DB.query('SELECT * FROM vehicles ORDER BY type ASC');
   }
 
-  async function addVehicle(type, capacity) {
-    const t = type.trim();
-    const c = parseInt(capacity);
-    if (!t) throw new Error('Vehicle type cannot be empty.');
-    if (isNaN(c) || c < 1) throw new Error('Capacity must be a positive number.');
-    await DB.run('INSERT INTO vehicles (type, capacity) VALUES (?, ?)', [t, c]);
+  // Layout is optional; when given it must seat the whole capacity
+  function _layoutJSON(layout, capacity) {
+    if (!layout) return null;
+    const l = SeatLayout.parse(layout, capacity);
+    SeatLayout.validate(l, capacity);
+    return JSON.stringify(l);
+  }
+
+  async function addVehicle(type, capacity, layout = null) {
+    await DB.transaction(async tx => upsertVehicle(tx, { type, capacity, layout }));
+    return getVehicles();
+  }
+
+  async function updateVehicle(id, type, capacity, layout = null) {
+    await DB.transaction(async tx => upsertVehicle(tx, { id, type, capacity, layout }));
     return getVehicles();
   }
 
-  async function updateVehicle(id, type, capacity) {
-    const t = type.trim();
+  /**
+   * Add a vehicle type, or update one when id is given, inside a
+   * transaction. Called with its { query, run }.
+   * @returns {number} vehicle id
+   */
+  function upsertVehicle({ run }, { id = null, type, capacity, layout = null }) {
+    const t = String(type ?? '').trim();
     const c = parseInt(capacity);
     if (!t) throw new Error('Vehicle type cannot be empty.');
     if (isNaN(c) || c < 1) throw new Error('Capacity must be a positive number.');
-    await DB.run('UPDATE vehicles SET type = ?, capacity = ? WHERE id = ?', [t, c, id]);
-    return getVehicles();
+    if (id) {
+      run(
+        'UPDATE vehicles SET type = ?, capacity = ?, layout = ? WHERE id = ?',
+        [t, c, _layoutJSON(layout, c), id]
+      );
+      return id;
+    }
+    return run(
+      'INSERT INTO vehicles (type, capacity, layout) VALUES (?, ?, ?)',
+      [t, c, _layoutJSON(layout, c)]
+    ).lastInsertRowid;
   }
 
   async function deleteVehicle(id) {
     // Check if vehicle is used in any route
     const inUse = DB.query('SELECT id FROM routes WHERE vehicle_id = ? LIMIT 1', [id]);
     if (inUse.length) throw new Error('Cannot delete — vehicle is assigned to existing routes.');
+    const buses = DB.query('SELECT id FROM fleet WHERE vehicle_id = ? LIMIT 1', [id]);
+    if (buses.length) throw new Error('Cannot delete — buses in the fleet are of this type.');
     await DB.run('DELETE FROM vehicles WHERE id = ?', [id]);
     return getVehicles();
   }
@@ -147,41 +305,83 @@ const DBConfig = (() => {
     `, [id])[0] || null;
   }
 
-  async function saveRoute({ departureId, destinationId, vehicleId, priceAc, priceNoAc }) {
+  async function saveRoute(route) {
+    await DB.transaction(async tx => upsertRoute(tx, route));
+    return getRoutes();
+  }
+
+  /**
+   * Save a route's prices inside a transaction. Called with its { query, run }.
+   * The reverse route is created with the same prices if it doesn't exist yet.
+   */
+  function upsertRoute(tx, { departureId, destinationId, vehicleId, priceAc, priceNoAc }) {
     if (departureId === destinationId) throw new Error('Departure and destination cannot be the same.');
 
     // Upsert forward route
-    await _upsertRoute(departureId, destinationId, vehicleId, priceAc, priceNoAc);
+    _upsertRoute(tx, departureId, destinationId, vehicleId, priceAc, priceNoAc);
 
     // Auto-create reverse route if it doesn't exist
-    const reverse = DB.query(`
+    const reverse = tx.query(`
       SELECT id FROM routes
       WHERE departure_id = ? AND destination_id = ? AND vehicle_id = ?
     `, [destinationId, departureId, vehicleId]);
 
     if (!reverse.length) {
-      await _upsertRoute(destinationId, departureId, vehicleId, priceAc, priceNoAc);
+      _upsertRoute(tx, destinationId, departureId, vehicleId, priceAc, priceNoAc);
     }
-
-    return getRoutes();
   }
 
-  async function _upsertRoute(depId, destId, vehicleId, priceAc, priceNoAc) {
-    const existing = DB.query(`
+  function _upsertRoute({ query, run }, depId, destId, vehicleId, priceAc, priceNoAc) {
+    const existing = query(`
       SELECT id FROM routes
       WHERE departure_id = ? AND destination_id = ? AND vehicle_id = ?
     `, [depId, destId, vehicleId]);
 
     if (existing.length) {
-      await DB.run(`
-        UPDATE routes SET price_ac = ?, price_no_ac = ? WHERE id = ?
-      `, [priceAc ?? null, priceNoAc ?? null, existing[0].id]);
-    } else {
-      await DB.run(`
-        INSERT INTO routes (departure_id, destination_id, vehicle_id, price_ac, price_no_ac)
-        VALUES (?, ?, ?, ?, ?)
-      `, [depId, destId, vehicleId, priceAc ?? null, priceNoAc ?? null]);
+      setRoutePrices({ query, run }, existing[0].id, priceAc, priceNoAc);
+      return;
     }
+    const routeId = run(`
+      INSERT INTO routes (departure_id, destination_id, vehicle_id, price_ac, price_no_ac)
+      VALUES (?, ?, ?, ?, ?)
+    `, [depId, destId, vehicleId, priceAc ?? null, priceNoAc ?? null]).lastInsertRowid;
+    _recordPrice({ query, run }, routeId, priceAc ?? null, priceNoAc ?? null);
+  }
+
+  /**
+   * Change one route's prices inside a transaction, keeping its price
+   * history. Called with its { query, run }.
+   */
+  function setRoutePrices({ query, run }, routeId, priceAc, priceNoAc) {
+    run(`
+      UPDATE routes SET price_ac = ?, price_no_ac = ? WHERE id = ?
+    `, [priceAc ?? null, priceNoAc ?? null, routeId]);
+    _recordPrice({ query, run }, routeId, priceAc ?? null, priceNoAc ?? null);
+  }
+
+  // Append to the route's price history only when the price actually changed
+  function _recordPrice({ query, run }, routeId, priceAc, priceNoAc) {
+    const last = query(`
+      SELECT price_ac, price_no_ac FROM route_prices
+      WHERE route_id = ? ORDER BY id DESC LIMIT 1
+    `, [routeId])[0];
+    if (last && last.price_ac === priceAc && last.price_no_ac === priceNoAc) return;
+    run(
+      'INSERT INTO route_prices (route_id, price_ac, price_no_ac) VALUES (?, ?, ?)',
+      [routeId, priceAc, priceNoAc]
+    );
+  }
+
+  /**
+   * Price changes for a route, newest first
+   */
+  function getRoutePriceHistory(routeId) {
+    return DB.query(`
+      SELECT price_ac, price_no_ac, effective_at
+      FROM route_prices
+      WHERE route_id = ?
+      ORDER BY id DESC
+    `, [routeId]);
   }
 
   async function deleteRoute(id) {
@@ -191,25 +391,45 @@ const DBConfig = (() => {
     // Delete both directions
     const route = getRoute(id);
     if (!route) throw new Error('Route not found.');
-    await DB.run(`
-      DELETE FROM routes
-      WHERE (departure_id = ? AND destination_id = ? AND vehicle_id = ?)
-         OR (departure_id = ? AND destination_id = ? AND vehicle_id = ?)
-    `, [
+    const pair = [
       route.departure_id, route.destination_id, route.vehicle_id,
       route.destination_id, route.departure_id, route.vehicle_id
-    ]);
+    ];
+    const scheduled = DB.query(`
+      SELECT s.id FROM schedules s JOIN routes r ON s.route_id = r.id
+      WHERE (r.departure_id = ? AND r.destination_id = ? AND r.vehicle_id = ?)
+         OR (r.departure_id = ? AND r.destination_id = ? AND r.vehicle_id = ?)
+      LIMIT 1
+    `, pair);
+    if (scheduled.length) throw new Error('Cannot delete — route has timetabled departures.');
+    await DB.transaction(async ({ run }) => {
+      for (const table of ['route_prices', 'route_stops', 'route_fares']) {
+        run(`
+          DELETE FROM ${table} WHERE route_id IN (
+            SELECT id FROM routes
+            WHERE (departure_id = ? AND destination_id = ? AND vehicle_id = ?)
+               OR (departure_id = ? AND destination_id = ? AND vehicle_id = ?)
+          )
+        `, pair);
+      }
+      run(`
+        DELETE FROM routes
+        WHERE (departure_id = ? AND destination_id = ? AND vehicle_id = ?)
+           OR (departure_id = ? AND destination_id = ? AND vehicle_id = ?)
+      `, pair);
+    });
     return getRoutes();
   }
 
   // ── Public API ─────────────────────────────────────────────────────────────
 
   return {
-    getCompany, saveCompany,
+    getCompany, saveCompany, setRequireNok, setBookingPrefix, setRegion,
     getCountries, getStates, getAllStates,
-    getPlaces, addPlace, updatePlaceState,
-    getVehicles, addVehicle, updateVehicle, deleteVehicle,
-    getRoutes, getRoute, saveRoute, deleteRoute,
+    getCountryPackList, fetchCountryPack, loadCountryPack,
+    getPlaces, addPlace, insertPlace, updatePlaceState,
+    getVehicles, addVehicle, updateVehicle, upsertVehicle, deleteVehicle,
+    getRoutes, getRoute, saveRoute, upsertRoute, setRoutePrices, deleteRoute, getRoutePriceHistory,
   };
 
 })();
@@ -2,18 +2,45 @@
  * db-core.js
  * Core database engine for Manifest App
  * Loads manifest.db via sql.js, persists to IndexedDB
+ * Schema upgrades come from db-migrations.js (load it before calling init)
  */
 
 const DB = (() => {
   const IDB_NAME    = 'manifest_store';
-  const IDB_VERSION = 1;
+  const IDB_VERSION = 2;
   const IDB_STORE   = 'db_file';
   const IDB_KEY     = 'manifest.db';
+  const SNAP_STORE  = 'snapshots';      // snapshot bytes, keyed by id
+  const SNAP_META   = 'snapshot_meta';  // snapshot descriptions (no bytes)
   const DB_URL      = 'data/manifest.db'; // bundled seed DB
 
+  // Tables a backup must contain to be restorable
+  const REQUIRED_TABLES = ['company', 'places', 'vehicles', 'routes', 'drivers', 'trips', 'passengers'];
+
+  // Rolling snapshot retention — overridable from the Help page
+  const SNAPSHOT_POLICY_KEY     = 'manifest_snapshotPolicy';
+  const DEFAULT_SNAPSHOT_POLICY = {
+    hourly: 24,  // keep every hourly snapshot from the last N hours
+    daily:  30,  // then the last snapshot of each day for N days
+    safety: 5,   // pre-restore / pre-reset / pre-merge copies kept
+  };
+  const QUOTA_HEADROOM = 0.8; // prune auto snapshots above this share of quota
+  const MAX_MANUAL     = 20;  // manual snapshots are only removed by hand, so cap them
+  const SAFETY_KINDS   = ['restore', 'reset', 'merge']; // taken before actions that can be undone
+
+  // Licences and bus documents expiring within this many days are flagged
+  const EXPIRY_WARNING_DAYS = 30;
+
+  // Used until a company has chosen its own
+  const DEFAULT_CURRENCY = 'NGN';
+  const DEFAULT_LOCALE   = 'en-NG';
+
   let _db   = null;  // sql.js database instance
   let _SQL  = null;  // sql.js constructor
   let _dirty = false; // tracks if a write has occurred
+  let _lastAutoHour = null; // hour bucket of the newest auto snapshot
+  let _money = null;  // cached money formatters, dropped after every write
+  let _operator = null; // { id, name } signed in on this page, stamped on the audit log
 
   // ── IndexedDB helpers ──────────────────────────────────────────────────────
 
@@ -21,31 +48,40 @@ const DB = (() => {
     return new Promise((resolve, reject) => {
       const req = indexedDB.open(IDB_NAME, IDB_VERSION);
       req.onupgradeneeded = e => {
-        e.target.result.createObjectStore(IDB_STORE);
+        const idb = e.target.result;
+        if (!idb.objectStoreNames.contains(IDB_STORE))  idb.createObjectStore(IDB_STORE);
+        if (!idb.objectStoreNames.contains(SNAP_STORE)) idb.createObjectStore(SNAP_STORE);
+        if (!idb.objectStoreNames.contains(SNAP_META))  idb.createObjectStore(SNAP_META, { keyPath: 'id' });
       };
       req.onsuccess = e => resolve(e.target.result);
       req.onerror   = e => reject(e.target.error);
     });
   }
 
-  async function _loadFromIDB() {
+  /**
+   * Run fn(tx) inside one IndexedDB transaction.
+   * Resolves with the result of the request fn returns (if any)
+   * once the transaction has committed.
+   */
+  async function _idb(stores, mode, fn) {
     const idb = await _openIDB();
     return new Promise((resolve, reject) => {
-      const tx  = idb.transaction(IDB_STORE, 'readonly');
-      const req = tx.objectStore(IDB_STORE).get(IDB_KEY);
-      req.onsuccess = e => resolve(e.target.result || null);
-      req.onerror   = e => reject(e.target.error);
+      const tx  = idb.transaction(stores, mode);
+      const req = fn(tx);
+      let result = null;
+      if (req) req.onsuccess = e => { result = e.target.result ?? null; };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror    = () => reject(tx.error);
+      tx.onabort    = () => reject(tx.error);
     });
   }
 
-  async function _saveToIDB(uint8Array) {
-    const idb = await _openIDB();
-    return new Promise((resolve, reject) => {
-      const tx  = idb.transaction(IDB_STORE, 'readwrite');
-      const req = tx.objectStore(IDB_STORE).put(uint8Array, IDB_KEY);
-      req.onsuccess = () => resolve();
-      req.onerror   = e => reject(e.target.error);
-    });
+  function _loadFromIDB() {
+    return _idb(IDB_STORE, 'readonly', tx => tx.objectStore(IDB_STORE).get(IDB_KEY));
+  }
+
+  function _saveToIDB(uint8Array) {
+    return _idb(IDB_STORE, 'readwrite', tx => tx.objectStore(IDB_STORE).put(uint8Array, IDB_KEY));
   }
 
   // ── DB initialisation ──────────────────────────────────────────────────────
@@ -68,16 +104,66 @@ const DB = (() => {
       if (!res.ok) throw new Error(`Failed to fetch seed DB: ${res.status}`);
       const buf = await res.arrayBuffer();
       _db = new _SQL.Database(new Uint8Array(buf));
-      await _saveToIDB(_db.export()); // persist immediately
-      console.log('[DB] Loaded from seed file and saved to IndexedDB');
+      _dirty = true; // persist after migrating
+      console.log('[DB] Loaded from seed file');
     }
 
     // Always enforce foreign keys per connection
     _db.run('PRAGMA foreign_keys = ON;');
 
+    try {
+      await _migrate();
+      await persist();
+    } catch (err) {
+      _db.close();
+      _db = null;
+      throw err;
+    }
+
     return _db;
   }
 
+  // ── Schema migrations ──────────────────────────────────────────────────────
+
+  /**
+   * Schema version stored in the database header (0 = never migrated)
+   */
+  function getSchemaVersion(db = _db) {
+    return db.exec('PRAGMA user_version')[0].values[0][0];
+  }
+
+  function _checkSchemaVersion(version) {
+    if (version > DBMigrations.LATEST) {
+      throw new Error(
+        `Database uses schema v${version} but this app only knows v${DBMigrations.LATEST}. Update the app first.`
+      );
+    }
+  }
+
+  /**
+   * Apply every pending migration in order, one transaction each,
+   * so a failure leaves the DB at the last good version.
+   * @param {Object} db  the live database, or a backup opened alongside it
+   */
+  async function _migrate(db = _db) {
+    const current = getSchemaVersion(db);
+    _checkSchemaVersion(current);
+
+    for (const m of DBMigrations.MIGRATIONS) {
+      if (m.version <= current) continue;
+      const step = async tx => {
+        const mark = _auditMark(tx.query);
+        await m.up(tx);
+        // Rows rewritten by an upgrade are nobody's action
+        if (mark !== null) tx.run('DELETE FROM audit_log WHERE id > ?', [mark]);
+        tx.run(`PRAGMA user_version = ${m.version}`);
+      };
+      if (db === _db) await transaction(step);
+      else await _transactionOn(db, step);
+      console.log(`[DB] Migrated ${db === _db ? '' : 'backup '}to v${m.version} (${m.name})`);
+    }
+  }
+
   // ── Query interface ────────────────────────────────────────────────────────
 
   /**
@@ -88,7 +174,11 @@ const DB = (() => {
    */
   function query(sql, params = []) {
     if (!_db) throw new Error('[DB] Not initialised. Call DB.init() first.');
-    const stmt    = _db.prepare(sql);
+    return _select(_db, sql, params);
+  }
+
+  function _select(db, sql, params = []) {
+    const stmt    = db.prepare(sql);
     const results = [];
     stmt.bind(params);
     while (stmt.step()) {
@@ -107,13 +197,12 @@ const DB = (() => {
    */
   async function run(sql, params = []) {
     if (!_db) throw new Error('[DB] Not initialised. Call DB.init() first.');
-    _db.run(sql, params);
+    const mark   = _auditMark();
+    const result = _runInTransaction(sql, params);
+    _auditStamp(mark);
     _dirty = true;
-    await persist();
-    return {
-      changes:         _db.getRowsModified(),
-      lastInsertRowid: _db.exec('SELECT last_insert_rowid()')[0]?.values[0][0]
-    };
+    await persist(); // reopens the connection, so read the result first
+    return result;
   }
 
   /**
@@ -125,25 +214,72 @@ const DB = (() => {
     if (!_db) throw new Error('[DB] Not initialised.');
     _db.run('BEGIN;');
     try {
+      const mark = _auditMark();
       await fn({ query, run: _runInTransaction });
-      _db.run('COMMIT;');
-      _dirty = true;
-      await persist();
+      _auditStamp(mark);
     } catch (err) {
       _db.run('ROLLBACK;');
       throw err;
     }
+    // Committed from here on: a failure to save must not read as a rollback
+    _db.run('COMMIT;');
+    _dirty = true;
+    await persist();
   }
 
   // Internal run that doesn't auto-persist (used inside transactions)
   function _runInTransaction(sql, params = []) {
-    _db.run(sql, params);
+    return _write(_db, sql, params);
+  }
+
+  function _write(db, sql, params = []) {
+    db.run(sql, params);
     return {
-      changes:         _db.getRowsModified(),
-      lastInsertRowid: _db.exec('SELECT last_insert_rowid()')[0]?.values[0][0]
+      changes:         db.getRowsModified(),
+      lastInsertRowid: db.exec('SELECT last_insert_rowid()')[0]?.values[0][0]
     };
   }
 
+  // A transaction on a backup opened alongside the live database: nothing
+  // is persisted and no operator is stamped
+  async function _transactionOn(db, fn) {
+    db.run('BEGIN;');
+    try {
+      await fn({ query: (sql, params) => _select(db, sql, params), run: (sql, params) => _write(db, sql, params) });
+      db.run('COMMIT;');
+    } catch (err) {
+      db.run('ROLLBACK;');
+      throw err;
+    }
+  }
+
+  // ── Audit ──────────────────────────────────────────────────────────────────
+  // From schema v16, triggers copy every row written into audit_log. They
+  // can't know who is signed in, so each write stamps its rows here.
+
+  /**
+   * Operator whose writes are logged from now on; null when signed out
+   * @param {{ id: number, name: string }|null} operator
+   */
+  function setOperator(operator) {
+    _operator = operator ? { id: operator.id, name: operator.name } : null;
+  }
+
+  function getOperator() {
+    return _operator;
+  }
+
+  // Newest audit row before a write, or null while there is no log
+  function _auditMark(select = query) {
+    const log = select(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'audit_log'`);
+    return log.length ? select('SELECT COALESCE(MAX(id), 0) AS id FROM audit_log')[0].id : null;
+  }
+
+  function _auditStamp(mark) {
+    if (mark === null || !_operator) return;
+    _db.run('UPDATE audit_log SET operator_id = ?, operator_name = ? WHERE id > ?', [_operator.id, _operator.name, mark]);
+  }
+
   // ── Persistence ────────────────────────────────────────────────────────────
 
   /**
@@ -152,9 +288,25 @@ const DB = (() => {
    */
   async function persist() {
     if (!_db || !_dirty) return;
-    await _saveToIDB(_db.export());
+    _money = null; // company currency may have changed
+    const bytes = _export();
+    await _saveToIDB(bytes);
     _dirty = false;
     console.log('[DB] Persisted to IndexedDB');
+    // The write is already saved; a snapshot that can't be stored must not fail it
+    try {
+      await _autoSnapshot(bytes);
+    } catch (err) {
+      console.warn('[DB] Auto snapshot failed:', err);
+    }
+  }
+
+  // sql.js export() closes and reopens the connection, which resets
+  // per-connection pragmas — re-apply them every time.
+  function _export() {
+    const data = _db.export();
+    _db.run('PRAGMA foreign_keys = ON;');
+    return data;
   }
 
   // ── Export / Restore (Help page backup) ───────────────────────────────────
@@ -164,8 +316,11 @@ const DB = (() => {
    */
   function exportDB(filename = 'manifest-backup.db') {
     if (!_db) throw new Error('[DB] Not initialised.');
-    const data = _db.export();
-    const blob = new Blob([data], { type: 'application/octet-stream' });
+    _download(_export(), filename);
+  }
+
+  function _download(bytes, filename) {
+    const blob = new Blob([bytes], { type: 'application/octet-stream' });
     const url  = URL.createObjectURL(blob);
     const a    = document.createElement('a');
     a.href     = url;
@@ -175,40 +330,509 @@ const DB = (() => {
   }
 
   /**
-   * Restore DB from a .db file picked by the user
+   * Check a backup file without touching the live database.
+   * Runs an integrity check, confirms the required tables and schema
+   * version, and summarises what the backup contains.
+   * @param {File} file
+   * @returns {Promise<{ ok: boolean, errors: string[], schemaVersion, company, counts, dateRange }>}
+   */
+  async function inspectDB(file) {
+    const report = {
+      ok:            false,
+      errors:        [],
+      schemaVersion: null,
+      company:       null,
+      counts:        { trips: 0, passengers: 0, routes: 0 },
+      dateRange:     { from: null, to: null },
+    };
+
+    const uint8 = new Uint8Array(await file.arrayBuffer());
+    const header = new TextDecoder().decode(uint8.slice(0, 15));
+    if (header !== 'SQLite format 3') {
+      report.errors.push('Not a database file.');
+      return report;
+    }
+
+    let db;
+    try {
+      db = new _SQL.Database(uint8);
+      const one = sql => db.exec(sql)[0]?.values[0][0] ?? null;
+
+      const integrity = one('PRAGMA integrity_check');
+      if (integrity !== 'ok') report.errors.push(`Integrity check failed: ${integrity}`);
+
+      report.schemaVersion = getSchemaVersion(db);
+      if (report.schemaVersion > DBMigrations.LATEST) {
+        report.errors.push(`Backup uses schema v${report.schemaVersion}; this app only knows v${DBMigrations.LATEST}. Update the app first.`);
+      }
+
+      const tables  = (db.exec(`SELECT name FROM sqlite_master WHERE type = 'table'`)[0]?.values || []).map(r => r[0]);
+      const missing = REQUIRED_TABLES.filter(t => !tables.includes(t));
+      if (missing.length) report.errors.push(`Missing tables: ${missing.join(', ')}`);
+
+      if (!report.errors.length) {
+        report.company           = one('SELECT name FROM company LIMIT 1');
+        report.counts.trips      = one('SELECT COUNT(*) FROM trips');
+        report.counts.passengers = one('SELECT COUNT(*) FROM passengers');
+        report.counts.routes     = one('SELECT COUNT(*) FROM routes');
+        report.dateRange.from    = one('SELECT MIN(booked_at) FROM trips');
+        report.dateRange.to      = one('SELECT MAX(booked_at) FROM trips');
+      }
+    } catch (err) {
+      report.errors.push(`Unreadable database: ${err.message}`);
+    } finally {
+      if (db) db.close();
+    }
+
+    report.ok = report.errors.length === 0;
+    return report;
+  }
+
+  /**
+   * Restore DB from a .db file picked by the user.
+   * The file is inspected first and the current database is kept as an
+   * undo snapshot, so a wrong backup can be rolled back in one step.
+   * Older backups are migrated up before the swap.
    * @param {File} file
    */
   async function restoreDB(file) {
-    const buf    = await file.arrayBuffer();
-    const uint8  = new Uint8Array(buf);
-    if (_db) _db.close();
-    _db = new _SQL.Database(uint8);
-    _db.run('PRAGMA foreign_keys = ON;');
-    await _saveToIDB(_db.export());
+    const report = await inspectDB(file);
+    if (!report.ok) throw new Error(report.errors[0]);
+
+    await takeUndoSnapshot('restore');
+    await _replaceWith(new Uint8Array(await file.arrayBuffer()));
     console.log('[DB] Restored from file');
   }
 
+  /**
+   * Open a backup alongside the live database, for reading another
+   * terminal's data. The file is inspected, then migrated up in memory so
+   * its tables match this app's; the file itself is never changed.
+   * Close it when done.
+   * @param {File} file
+   * @returns {Promise<{ query: Function, close: Function }>}
+   */
+  async function openBackup(file) {
+    const report = await inspectDB(file);
+    if (!report.ok) throw new Error(report.errors[0]);
+
+    const db = new _SQL.Database(new Uint8Array(await file.arrayBuffer()));
+    try {
+      await _migrate(db);
+    } catch (err) {
+      db.close();
+      throw err;
+    }
+    return {
+      query: (sql, params) => _select(db, sql, params),
+      close: () => db.close(),
+    };
+  }
+
+  // Bring the given bytes up to date, then swap them in as the live
+  // database. A failed migration leaves the current database untouched.
+  async function _replaceWith(uint8) {
+    const db = new _SQL.Database(uint8);
+    db.run('PRAGMA foreign_keys = ON;');
+    try {
+      await _migrate(db);
+    } catch (err) {
+      db.close();
+      throw err;
+    }
+    if (_db) _db.close();
+    _db = db;
+    _money = null;
+    await _saveToIDB(_export());
+  }
+
+  // ── Snapshots ──────────────────────────────────────────────────────────────
+  // Kinds: 'auto'    — taken by persist() at most once per hour
+  //        'manual'  — taken from the Help page, kept until deleted
+  //        'restore' / 'reset' / 'merge' — safety copies taken before those actions
+  // Only the newest safety copy is flagged undoable.
+
+  function getSnapshotPolicy() {
+    const saved = JSON.parse(localStorage.getItem(SNAPSHOT_POLICY_KEY) || '{}');
+    return { ...DEFAULT_SNAPSHOT_POLICY, ...saved };
+  }
+
+  function setSnapshotPolicy(policy) {
+    const next = { ...getSnapshotPolicy() };
+    for (const key of Object.keys(DEFAULT_SNAPSHOT_POLICY)) {
+      if (policy[key] === undefined) continue;
+      const n = parseInt(policy[key]);
+      if (isNaN(n) || n < 0) throw new Error(`Snapshot ${key} count must be 0 or more.`);
+      next[key] = n;
+    }
+    localStorage.setItem(SNAPSHOT_POLICY_KEY, JSON.stringify(next));
+    return next;
+  }
+
+  /**
+   * All snapshot descriptions, newest first
+   * @returns {Promise<Array<{ id, kind, createdAt, size, undoable }>>}
+   */
+  async function listSnapshots() {
+    const all = await _idb(SNAP_META, 'readonly', tx => tx.objectStore(SNAP_META).getAll());
+    return (all || []).sort((a, b) => b.id - a.id);
+  }
+
+  async function _writeSnapshot(kind, bytes) {
+    const snaps = await listSnapshots();
+    // The id doubles as the timestamp; step past one taken in the same ms
+    const now  = Math.max(Date.now(), (snaps[0]?.id ?? 0) + 1);
+    const meta = {
+      id:        now,
+      kind,
+      createdAt: new Date(now).toISOString(),
+      size:      bytes.byteLength,
+      undoable:  SAFETY_KINDS.includes(kind),
+    };
+    const earlier = meta.undoable ? snaps.filter(s => s.undoable) : [];
+
+    await _idb([SNAP_STORE, SNAP_META], 'readwrite', tx => {
+      tx.objectStore(SNAP_STORE).put(bytes, meta.id);
+      tx.objectStore(SNAP_META).put(meta);
+      earlier.forEach(s => tx.objectStore(SNAP_META).put({ ...s, undoable: false }));
+    });
+    return meta;
+  }
+
+  /**
+   * Store a copy of the current database.
+   * If storage is full, the oldest auto snapshots are dropped and the
+   * write is retried once. At most MAX_MANUAL manual snapshots are kept.
+   * @param {'auto'|'manual'|'restore'|'reset'|'merge'} kind
+   */
+  async function takeSnapshot(kind = 'manual', bytes = null) {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    if (kind === 'manual') {
+      const manual = (await listSnapshots()).filter(s => s.kind === 'manual');
+      if (manual.length >= MAX_MANUAL) {
+        throw new Error(`There are already ${MAX_MANUAL} manual snapshots. Delete an old one first.`);
+      }
+    }
+    const data = bytes || _export();
+    let meta;
+    try {
+      meta = await _writeSnapshot(kind, data);
+    } catch (err) {
+      if (err?.name !== 'QuotaExceededError') throw err;
+      await _pruneForQuota(data.byteLength * 2);
+      meta = await _writeSnapshot(kind, data);
+    }
+    await pruneSnapshots();
+    console.log(`[DB] Snapshot taken (${kind})`);
+    return meta;
+  }
+
+  async function deleteSnapshot(id) {
+    await _idb([SNAP_STORE, SNAP_META], 'readwrite', tx => {
+      tx.objectStore(SNAP_STORE).delete(id);
+      tx.objectStore(SNAP_META).delete(id);
+    });
+  }
+
+  function _loadSnapshot(id) {
+    return _idb(SNAP_STORE, 'readonly', tx => tx.objectStore(SNAP_STORE).get(id));
+  }
+
+  /**
+   * Apply the retention policy:
+   * auto snapshots from the last `hourly` hours are all kept, older ones
+   * keep only the newest of each day for `daily` days; safety copies keep
+   * the newest `safety`. Manual snapshots are never pruned.
+   * Then make room if the origin is close to its storage quota.
+   */
+  async function pruneSnapshots() {
+    const policy   = getSnapshotPolicy();
+    const now      = Date.now();
+    const hourCut  = now - policy.hourly * 3600e3;
+    const dayCut   = now - policy.daily  * 86400e3;
+    const snaps    = await listSnapshots();
+    const doomed   = [];
+    const seenDays = new Set();
+    let safetyKept = 0;
+
+    for (const s of snaps) {
+      if (s.kind === 'manual') continue;
+      if (s.kind === 'auto') {
+        const day = _localDay(s.id);
+        const keepHourly = s.id >= hourCut;
+        const keepDaily  = s.id >= dayCut && !seenDays.has(day);
+        seenDays.add(day);
+        if (!keepHourly && !keepDaily) doomed.push(s.id);
+      } else if (++safetyKept > policy.safety) {
+        doomed.push(s.id);
+      }
+    }
+
+    for (const id of doomed) await deleteSnapshot(id);
+    await _pruneForQuota(0);
+  }
+
+  // Drop the oldest auto snapshots (never the newest) until usage plus
+  // `extraBytes` sits below the quota headroom. Manual and safety copies
+  // are left alone; if they alone fill the space, say so.
+  async function _pruneForQuota(extraBytes) {
+    if (!navigator.storage?.estimate) return;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    if (!quota) return;
+
+    let needed = usage + extraBytes - quota * QUOTA_HEADROOM;
+    if (needed <= 0) return;
+
+    const autos = (await listSnapshots()).filter(s => s.kind === 'auto').reverse();
+    for (const s of autos.slice(0, -1)) {
+      if (needed <= 0) break;
+      await deleteSnapshot(s.id);
+      needed -= s.size;
+      console.log('[DB] Snapshot pruned for storage quota');
+    }
+    if (needed > 0) {
+      console.warn('[DB] Storage is nearly full — delete old manual snapshots to make room');
+    }
+  }
+
+  // Called from persist(): one auto snapshot per clock hour
+  async function _autoSnapshot(bytes) {
+    const hour = _localHour(Date.now());
+    if (_lastAutoHour === null) {
+      const last = (await listSnapshots()).find(s => s.kind === 'auto');
+      _lastAutoHour = last ? _localHour(last.id) : '';
+    }
+    if (hour === _lastAutoHour) return;
+    _lastAutoHour = hour;
+    await takeSnapshot('auto', bytes);
+  }
+
+  function _localDay(ms) {
+    return localDate(new Date(ms));
+  }
+
+  function _localHour(ms) {
+    return `${_localDay(ms)} ${new Date(ms).getHours()}`;
+  }
+
+  /**
+   * Put a snapshot back as the live database.
+   * The current database is kept as an undoable safety copy first.
+   */
+  async function restoreSnapshot(id) {
+    const bytes = await _loadSnapshot(id);
+    if (!bytes) throw new Error('Snapshot not found.');
+    await takeSnapshot('restore');
+    await _replaceWith(bytes);
+    console.log('[DB] Restored from snapshot');
+  }
+
+  /**
+   * Download a snapshot as a .db backup file
+   */
+  async function downloadSnapshot(id, filename = 'manifest-snapshot.db') {
+    const bytes = await _loadSnapshot(id);
+    if (!bytes) throw new Error('Snapshot not found.');
+    _download(bytes, filename);
+  }
+
+  // ── Undo (pre-restore / pre-reset / pre-merge) ─────────────────────────────
+
+  /**
+   * Keep a copy of the current database so the next destructive action
+   * (restore, reset, merge) can be undone.
+   * @param {'restore'|'reset'|'merge'} reason
+   */
+  function takeUndoSnapshot(reason) {
+    return takeSnapshot(reason);
+  }
+
+  /**
+   * Describe the undoable snapshot, if any
+   * @returns {Promise<{ id, reason, takenAt }|null>}
+   */
+  async function getUndoSnapshot() {
+    const snap = (await listSnapshots()).find(s => s.undoable);
+    return snap ? { id: snap.id, reason: snap.kind, takenAt: snap.createdAt } : null;
+  }
+
+  /**
+   * Put the undoable snapshot back as the live database.
+   * The snapshot stays in the list but can't be undone twice.
+   */
+  async function restoreUndoSnapshot() {
+    const snap = (await listSnapshots()).find(s => s.undoable);
+    if (!snap) throw new Error('No undo snapshot available.');
+    await _replaceWith(await _loadSnapshot(snap.id));
+    await _idb(SNAP_META, 'readwrite', tx => tx.objectStore(SNAP_META).put({ ...snap, undoable: false }));
+    console.log(`[DB] Rolled back ${snap.kind}`);
+  }
+
   // ── Utility ────────────────────────────────────────────────────────────────
 
   /**
-   * Format a number as Naira currency string
+   * Currency and locale from the company settings
+   * @returns {{ currency: string, locale: string }}
+   */
+  function getMoneyFormat() {
+    const company = _db ? query('SELECT * FROM company LIMIT 1')[0] : null;
+    return {
+      currency: company?.currency || DEFAULT_CURRENCY,
+      locale:   company?.locale   || DEFAULT_LOCALE,
+    };
+  }
+
+  function _moneyFormatters() {
+    if (_money) return _money;
+    const { currency, locale } = getMoneyFormat();
+    _money = {
+      locale,
+      whole: new Intl.NumberFormat(locale, { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 0 }),
+      exact: new Intl.NumberFormat(locale, { style: 'currency', currency }),
+    };
+    return _money;
+  }
+
+  /**
+   * Format a number in the company currency, e.g. ₦20,000 or GH₵ 150.50
    * DB always stores plain numbers — symbol added only at display time
    */
-  function formatNaira(amount) {
+  function formatMoney(amount) {
     if (amount === null || amount === undefined) return '—';
-    return `₦${Number(amount).toLocaleString('en-NG')}`;
+    const n = Number(amount);
+    const f = _moneyFormatters();
+    return (Number.isInteger(n) ? f.whole : f.exact).format(n);
+  }
+
+  /**
+   * Format a date or time in the company locale
+   * @param {Date|number|string} value  'YYYY-MM-DD' and SQLite 'YYYY-MM-DD HH:MM:SS'
+   *   strings are read as local time
+   * @param {Intl.DateTimeFormatOptions} options
+   */
+  function formatDate(value, options) {
+    // A bare date would otherwise be read as UTC midnight, a day early west of UTC
+    const iso = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00` : value;
+    const d   = typeof iso === 'string' ? new Date(iso.replace(' ', 'T')) : new Date(iso);
+    return d.toLocaleString(_moneyFormatters().locale, options);
+  }
+
+  /**
+   * Make stored text safe to put in innerHTML, attribute values included.
+   * Names, notes and reasons are typed by operators or come from backups.
+   */
+  function escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * A day as YYYY-MM-DD in local time, the form SQL date columns hold
+   * @param {Date} [d]  defaults to today
+   */
+  function localDate(d = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  /**
+   * Where an expiry date (YYYY-MM-DD) stands on a given day: 'missing',
+   * 'expired', 'expiring' (within EXPIRY_WARNING_DAYS) or 'valid'
+   */
+  function expiryState(expiry, on = new Date()) {
+    if (!expiry) return 'missing';
+    if (expiry < localDate(on)) return 'expired';
+    const soon = new Date(on.getFullYear(), on.getMonth(), on.getDate() + EXPIRY_WARNING_DAYS);
+    return expiry <= localDate(soon) ? 'expiring' : 'valid';
+  }
+
+  // ── Booking codes ──────────────────────────────────────────────────────────
+  // PREFIX-YYMMDD-NNNNC: the terminal's prefix, the day, that day's sequence
+  // number and a check character (Luhn mod 36), e.g. LAG-250420-0007N.
+  // Codes made before schema v18 (TRP-20250420-00A3) have no check character.
+
+  const CODE_CHARS     = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  const CODE_PATTERN   = /^([A-Z0-9]{1,6})-(\d{6})-(\d{4,})([0-9A-Z])$/;
+  const DEFAULT_PREFIX = 'TRP';
+
+  // Catches any single wrong character and most swapped neighbours
+  function _checkChar(body) {
+    const chars = body.replace(/-/g, '');
+    let sum = 0;
+    for (let i = chars.length - 1, factor = 2; i >= 0; i--, factor = 3 - factor) {
+      const addend = factor * CODE_CHARS.indexOf(chars[i]);
+      sum += Math.floor(addend / CODE_CHARS.length) + addend % CODE_CHARS.length;
+    }
+    return CODE_CHARS[(CODE_CHARS.length - sum % CODE_CHARS.length) % CODE_CHARS.length];
+  }
+
+  /**
+   * A booking code from its parts
+   * @param {string} prefix
+   * @param {Date}   date
+   * @param {number} seq
+   */
+  function formatBookingCode(prefix, date, seq) {
+    const day  = [date.getFullYear() % 100, date.getMonth() + 1, date.getDate()]
+      .map(n => String(n).padStart(2, '0')).join('');
+    const body = `${prefix}-${day}-${String(seq).padStart(4, '0')}`;
+    return body + _checkChar(body);
+  }
+
+  /**
+   * Reserve the next booking code inside a transaction. A number is never
+   * handed out twice, and codes already on a trip (restored or imported)
+   * are skipped.
+   * @param {{ query, run }} tx
+   */
+  function nextBookingCode({ query, run }) {
+    const prefix = query('SELECT booking_prefix FROM company LIMIT 1')[0]?.booking_prefix || DEFAULT_PREFIX;
+    const date   = new Date();
+    const day    = formatBookingCode(prefix, date, 0).split('-')[1];
+    let seq = query('SELECT last_seq FROM booking_sequences WHERE prefix = ? AND day = ?', [prefix, day])[0]?.last_seq || 0;
+    let code;
+    do {
+      code = formatBookingCode(prefix, date, ++seq);
+    } while (query('SELECT 1 FROM trips WHERE booking_code = ?', [code]).length);
+    run(`
+      INSERT INTO booking_sequences (prefix, day, last_seq) VALUES (?, ?, ?)
+      ON CONFLICT(prefix, day) DO UPDATE SET last_seq = excluded.last_seq
+    `, [prefix, day, seq]);
+    return code;
+  }
+
+  /**
+   * Reserve a new booking code  e.g. LAG-250420-0007N
+   * @returns {Promise<string>}
+   */
+  async function generateBookingCode() {
+    let code;
+    await transaction(async tx => { code = nextBookingCode(tx); });
+    return code;
+  }
+
+  /**
+   * Whether a code was handed out here and no trip has it yet, so it can
+   * still be used for a new trip
+   */
+  function isBookingCodeFree(code) {
+    const m = String(code ?? '').match(CODE_PATTERN);
+    if (!m || _checkChar(`${m[1]}-${m[2]}-${m[3]}`) !== m[4]) return false;
+    const last = query('SELECT last_seq FROM booking_sequences WHERE prefix = ? AND day = ?', [m[1], m[2]])[0]?.last_seq || 0;
+    return Number(m[3]) <= last && !query('SELECT 1 FROM trips WHERE booking_code = ?', [code]).length;
   }
 
   /**
-   * Generate a booking code  e.g. TRP-20250420-00A3
+   * False when a typed code is in the current format but its check
+   * character is wrong, i.e. it was mistyped. Older codes pass as they are.
    */
-  function generateBookingCode() {
-    const date    = new Date();
-    const y       = date.getFullYear();
-    const m       = String(date.getMonth() + 1).padStart(2, '0');
-    const d       = String(date.getDate()).padStart(2, '0');
-    const rand    = Math.random().toString(36).substring(2, 6).toUpperCase();
-    return `TRP-${y}${m}${d}-${rand}`;
+  function checkBookingCode(code) {
+    const m = String(code ?? '').trim().toUpperCase().match(CODE_PATTERN);
+    return !m || _checkChar(`${m[1]}-${m[2]}-${m[3]}`) === m[4];
   }
 
   // ── Public API ─────────────────────────────────────────────────────────────
@@ -218,11 +842,38 @@ const DB = (() => {
     query,
     run,
     transaction,
+    setOperator,
+    getOperator,
     persist,
+    getSchemaVersion,
     exportDB,
+    inspectDB,
     restoreDB,
-    formatNaira,
+    openBackup,
+    getSnapshotPolicy,
+    setSnapshotPolicy,
+    listSnapshots,
+    takeSnapshot,
+    deleteSnapshot,
+    pruneSnapshots,
+    restoreSnapshot,
+    downloadSnapshot,
+    takeUndoSnapshot,
+    getUndoSnapshot,
+    restoreUndoSnapshot,
+    getMoneyFormat,
+    formatMoney,
+    formatDate,
+    escapeHtml,
+    localDate,
+    EXPIRY_WARNING_DAYS,
+    expiryState,
+    DEFAULT_PREFIX,
+    formatBookingCode,
+    nextBookingCode,
     generateBookingCode,
+    isBookingCodeFree,
+    checkBookingCode,
   };
 
 })();
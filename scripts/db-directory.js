@@ -0,0 +1,163 @@
+/**
+ * db-directory.js
+ * Data access layer — Passenger directory
+ * Handles: traveller profiles keyed by phone, travel history, merging duplicates
+ */
+
+const DBDirectory = (() => {
+
+  /**
+   * Phone number reduced to its last ten digits, so 0803…, +234 803… and
+   * 234803… all match. Numbers too short to be real give null.
+   */
+  function phoneKey(phone) {
+    const digits = String(phone ?? '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-10) : null;
+  }
+
+  // ── Lookup ─────────────────────────────────────────────────────────────────
+
+  const PROFILE_COLUMNS = `
+    t.*,
+    (SELECT COUNT(*)       FROM passengers p WHERE p.traveller_id = t.id AND p.status = 'booked' AND p.deleted_at IS NULL) AS trip_count,
+    (SELECT MAX(tr.booked_at) FROM passengers p JOIN trips tr ON p.trip_id = tr.id
+      WHERE p.traveller_id = t.id) AS last_trip_at
+  `;
+
+  function _idForKey(query, key) {
+    return query('SELECT id FROM travellers WHERE phone_key = ?', [key])[0]?.id
+      ?? query('SELECT traveller_id AS id FROM traveller_aliases WHERE phone_key = ?', [key])[0]?.id
+      ?? null;
+  }
+
+  /**
+   * Known traveller for a phone number, or null.
+   * Also finds people through the numbers of profiles merged into them.
+   */
+  function findByPhone(phone) {
+    const key = phoneKey(phone);
+    if (!key) return null;
+    const id = _idForKey(DB.query, key);
+    return id ? getTraveller(id) : null;
+  }
+
+  function getTraveller(id) {
+    return DB.query(`SELECT ${PROFILE_COLUMNS} FROM travellers t WHERE t.id = ?`, [id])[0] || null;
+  }
+
+  /**
+   * Search by name or phone digits. Empty term lists most recent travellers.
+   */
+  function searchTravellers(term = '', limit = 50) {
+    const q      = term.trim();
+    const digits = q.replace(/\D/g, '');
+    return DB.query(`
+      SELECT ${PROFILE_COLUMNS}
+      FROM travellers t
+      WHERE ? = '' OR t.name LIKE ? OR (? != '' AND t.phone_key LIKE ?)
+      ORDER BY last_trip_at DESC, t.name
+      LIMIT ?
+    `, [q, `%${q}%`, digits, `%${digits}%`, limit]);
+  }
+
+  /**
+   * Every trip this traveller has taken, newest first
+   */
+  function getTravelHistory(travellerId) {
+    return DB.query(`
+      SELECT
+        p.id AS passenger_id,
+        p.name,
+        p.seat_no,
+        p.fare,
+        p.discount,
+        p.status AS passenger_status,
+        t.booking_code,
+        t.booked_at,
+        t.scheduled_at,
+        t.status,
+        dep.name  AS departure,
+        dest.name AS destination
+      FROM passengers p
+      JOIN trips  t    ON p.trip_id         = t.id
+      JOIN routes r    ON t.route_id        = r.id
+      JOIN places dep  ON r.departure_id    = dep.id
+      JOIN places dest ON r.destination_id  = dest.id
+      WHERE p.traveller_id = ? AND p.deleted_at IS NULL AND t.deleted_at IS NULL
+      ORDER BY COALESCE(t.scheduled_at, t.booked_at) DESC
+    `, [travellerId]);
+  }
+
+  // ── Writes ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Create or refresh the profile for a booking. Called inside the booking
+   * transaction with its { query, run }. Blank details never overwrite
+   * ones already on file.
+   * @returns {number|null} traveller id, or null if the phone can't be keyed
+   */
+  function upsertTraveller({ query, run }, { name, phone, gender, nokName, nokPhone, idType, idNumber }) {
+    const key = phoneKey(phone);
+    if (!key) return null;
+    const v = x => String(x ?? '').trim() || null;
+
+    const id = _idForKey(query, key);
+    if (id) {
+      run(`
+        UPDATE travellers SET
+          name       = COALESCE(?, name),
+          gender     = COALESCE(?, gender),
+          nok_name   = COALESCE(?, nok_name),
+          nok_phone  = COALESCE(?, nok_phone),
+          id_type    = COALESCE(?, id_type),
+          id_number  = COALESCE(?, id_number),
+          updated_at = datetime('now','localtime')
+        WHERE id = ?
+      `, [v(name), v(gender), v(nokName), v(nokPhone), v(idType), v(idType) && v(idNumber), id]);
+      return id;
+    }
+    return run(`
+      INSERT INTO travellers (phone_key, name, phone, gender, nok_name, nok_phone, id_type, id_number)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [key, v(name), v(phone), v(gender), v(nokName), v(nokPhone), v(idType), v(idType) && v(idNumber)]).lastInsertRowid;
+  }
+
+  /**
+   * Fold a duplicate profile into the one being kept. Trips move across,
+   * details missing on the kept profile are taken from the duplicate, and
+   * the duplicate's phone keeps working as an alias.
+   */
+  async function mergeTravellers(keepId, duplicateId) {
+    if (keepId === duplicateId) throw new Error('Pick two different travellers.');
+    const keep = getTraveller(keepId);
+    const dup  = getTraveller(duplicateId);
+    if (!keep || !dup) throw new Error('Traveller not found.');
+
+    await DB.transaction(async ({ run }) => {
+      run('UPDATE passengers SET traveller_id = ? WHERE traveller_id = ?', [keepId, duplicateId]);
+      run(`
+        UPDATE travellers SET
+          gender    = COALESCE(gender,    ?),
+          nok_name  = COALESCE(nok_name,  ?),
+          nok_phone = COALESCE(nok_phone, ?),
+          id_type   = COALESCE(id_type,   ?),
+          id_number = COALESCE(id_number, ?),
+          updated_at = datetime('now','localtime')
+        WHERE id = ?
+      `, [dup.gender, dup.nok_name, dup.nok_phone, dup.id_type, dup.id_number, keepId]);
+      run('UPDATE traveller_aliases SET traveller_id = ? WHERE traveller_id = ?', [keepId, duplicateId]);
+      run('DELETE FROM travellers WHERE id = ?', [duplicateId]);
+      run('INSERT OR REPLACE INTO traveller_aliases (phone_key, traveller_id) VALUES (?, ?)', [dup.phone_key, keepId]);
+    });
+    return getTraveller(keepId);
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    phoneKey,
+    findByPhone, getTraveller, searchTravellers, getTravelHistory,
+    upsertTraveller, mergeTravellers,
+  };
+
+})();
@@ -0,0 +1,164 @@
+/**
+ * db-drivers.js
+ * Data access layer — Drivers
+ * Handles: driver records, licences, guarantors, suspension, trip history
+ */
+
+const DBDrivers = (() => {
+
+  const DRIVER_STATUSES = ['active', 'suspended'];
+
+  // ── Helpers ────────────────────────────────────────────────────────────────
+
+  function _clean(v) {
+    const s = String(v ?? '').trim();
+    return s || null;
+  }
+
+  /**
+   * Where a driver's licence stands on a given day, as DB.expiryState:
+   * 'missing' means no expiry on file
+   */
+  function licenceState(driver, on = new Date()) {
+    return DB.expiryState(driver?.licence_expiry, on);
+  }
+
+  // ── Drivers ────────────────────────────────────────────────────────────────
+
+  const SUMMARY_COLUMNS = `
+    d.*,
+    (SELECT COUNT(*) FROM trips t WHERE t.driver_id = d.id AND t.deleted_at IS NULL) AS trip_count,
+    (SELECT MAX(COALESCE(t.departed_at, t.scheduled_at, t.booked_at))
+       FROM trips t WHERE t.driver_id = d.id AND t.deleted_at IS NULL) AS last_trip_at
+  `;
+
+  function getDrivers() {
+    return DB.query(`SELECT ${SUMMARY_COLUMNS} FROM drivers d ORDER BY d.status, d.name`);
+  }
+
+  function getDriver(id) {
+    return DB.query(`SELECT ${SUMMARY_COLUMNS} FROM drivers d WHERE d.id = ?`, [id])[0] || null;
+  }
+
+  function getDriverByPhone(phone) {
+    return DB.query('SELECT * FROM drivers WHERE phone = ?', [String(phone ?? '').trim()])[0] || null;
+  }
+
+  /**
+   * Add or update a driver. Phone numbers are unique, so a phone already
+   * on file for someone else is refused.
+   * @returns {Promise<number>} driver id
+   */
+  async function saveDriver({
+    id = null, name, phone, vehicleNo = '',
+    licenceNo = '', licenceExpiry = '', guarantorName = '', guarantorPhone = '',
+    photo = null, notes = '',
+  }) {
+    const n = _clean(name);
+    const p = _clean(phone);
+    if (!n) throw new Error('Enter the driver name.');
+    if (!p) throw new Error('Enter the driver phone.');
+    const expiry = _clean(licenceExpiry);
+    if (expiry && !/^\d{4}-\d{2}-\d{2}$/.test(expiry)) throw new Error('Licence expiry must be a date.');
+
+    const owner = getDriverByPhone(p);
+    if (owner && owner.id !== id) throw new Error(`Phone ${p} belongs to driver ${owner.name}.`);
+
+    const params = [
+      n, p, _clean(vehicleNo), _clean(licenceNo), expiry,
+      _clean(guarantorName), _clean(guarantorPhone), photo || null, _clean(notes),
+    ];
+    if (id) {
+      await DB.run(`
+        UPDATE drivers
+        SET name = ?, phone = ?, vehicle_no = ?, licence_no = ?, licence_expiry = ?,
+            guarantor_name = ?, guarantor_phone = ?, photo = ?, notes = ?
+        WHERE id = ?
+      `, [...params, id]);
+      return id;
+    }
+    const result = await DB.run(`
+      INSERT INTO drivers (name, phone, vehicle_no, licence_no, licence_expiry, guarantor_name, guarantor_phone, photo, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, params);
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Suspend or reinstate a driver. Suspended drivers can't be given new trips.
+   */
+  async function setDriverStatus(id, status) {
+    if (!DRIVER_STATUSES.includes(status)) throw new Error(`Unknown driver status: ${status}`);
+    await DB.run('UPDATE drivers SET status = ? WHERE id = ?', [status, id]);
+    return getDriver(id);
+  }
+
+  /**
+   * Delete a driver who has never been assigned a trip or departure.
+   * Anyone with history should be suspended instead.
+   */
+  async function deleteDriver(id) {
+    const used = DB.query(`
+      SELECT 1 FROM trips WHERE driver_id = ?
+      UNION ALL
+      SELECT 1 FROM schedules WHERE driver_id = ?
+    `, [id, id]);
+    if (used.length) throw new Error('Cannot delete — driver has trips or departures. Suspend them instead.');
+    await DB.run('DELETE FROM drivers WHERE id = ?', [id]);
+  }
+
+  // ── History ────────────────────────────────────────────────────────────────
+
+  /**
+   * Every trip a driver has been assigned, newest first, with passengers
+   * carried and money expected/collected (same rules as DBHistory.getTrips)
+   */
+  function getDriverTrips(driverId) {
+    return DB.query(`
+      SELECT
+        t.id,
+        t.booking_code,
+        t.vehicle_no,
+        t.status,
+        t.booked_at,
+        t.scheduled_at,
+        t.departed_at,
+        dep.name  AS departure,
+        dest.name AS destination,
+        COALESCE(tt.passengers, 0) AS passenger_count,
+        COALESCE(tt.expected, 0)   AS total_revenue,
+        COALESCE(tt.collected, 0)  AS collected
+      FROM trips t
+      JOIN routes r    ON t.route_id       = r.id
+      JOIN places dep  ON r.departure_id   = dep.id
+      JOIN places dest ON r.destination_id = dest.id
+      LEFT JOIN (${DBHistory.TRIP_TOTALS}) tt ON tt.trip_id = t.id
+      WHERE t.driver_id = ? AND t.deleted_at IS NULL
+      ORDER BY COALESCE(t.scheduled_at, t.booked_at) DESC
+    `, [driverId]);
+  }
+
+  /**
+   * Totals across a driver's trips. Cancelled trips are not counted.
+   */
+  function getDriverSummary(driverId) {
+    const trips = getDriverTrips(driverId).filter(t => t.status !== 'cancelled');
+    return {
+      trips:      trips.length,
+      passengers: trips.reduce((s, t) => s + t.passenger_count, 0),
+      expected:   trips.reduce((s, t) => s + t.total_revenue, 0),
+      collected:  trips.reduce((s, t) => s + t.collected, 0),
+    };
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    DRIVER_STATUSES,
+    licenceState,
+    getDrivers, getDriver, getDriverByPhone,
+    saveDriver, setDriverStatus, deleteDriver,
+    getDriverTrips, getDriverSummary,
+  };
+
+})();
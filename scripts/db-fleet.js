@@ -0,0 +1,221 @@
+/**
+ * db-fleet.js
+ * Data access layer — Fleet
+ * Handles: individual buses by plate, their documents, service status, per-bus takings
+ */
+
+const DBFleet = (() => {
+
+  const FLEET_STATUSES = ['active', 'out_of_service'];
+
+  const DOCUMENTS = {
+    roadworthy_expiry: 'Roadworthiness',
+    insurance_expiry:  'Insurance',
+  };
+
+  // ── Helpers ────────────────────────────────────────────────────────────────
+
+  function normalisePlate(plate) {
+    return String(plate ?? '').trim().toUpperCase();
+  }
+
+  /**
+   * Where a document's expiry date stands on a given day, as DB.expiryState
+   */
+  function docState(expiry, on = new Date()) {
+    return DB.expiryState(expiry, on);
+  }
+
+  // ── Buses ──────────────────────────────────────────────────────────────────
+
+  const BUS_COLUMNS = `
+    f.*,
+    v.type AS vehicle_type,
+    v.capacity
+  `;
+
+  /**
+   * Buses, optionally of one vehicle type and/or only those in service
+   */
+  function getFleet({ vehicleId = null, inService = false } = {}) {
+    const where  = [];
+    const params = [];
+    if (vehicleId) { where.push('f.vehicle_id = ?'); params.push(vehicleId); }
+    if (inService) where.push(`f.status = 'active'`);
+    return DB.query(`
+      SELECT ${BUS_COLUMNS}
+      FROM fleet f
+      JOIN vehicles v ON f.vehicle_id = v.id
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY f.status, f.plate
+    `, params);
+  }
+
+  function getBus(id) {
+    return DB.query(`
+      SELECT ${BUS_COLUMNS} FROM fleet f JOIN vehicles v ON f.vehicle_id = v.id WHERE f.id = ?
+    `, [id])[0] || null;
+  }
+
+  function getBusByPlate(plate) {
+    return DB.query(`
+      SELECT ${BUS_COLUMNS} FROM fleet f JOIN vehicles v ON f.vehicle_id = v.id WHERE f.plate = ?
+    `, [normalisePlate(plate)])[0] || null;
+  }
+
+  /**
+   * Add or update a bus. Plates are stored upper-case and must be unique.
+   * @returns {Promise<number>} bus id
+   */
+  async function saveBus({ id = null, plate, vehicleId, hasAc = false, roadworthyExpiry = '', insuranceExpiry = '' }) {
+    const p = normalisePlate(plate);
+    if (!p) throw new Error('Enter the plate number.');
+    if (!vehicleId) throw new Error('Select the vehicle type.');
+    const dates = [roadworthyExpiry, insuranceExpiry].map(d => String(d ?? '').trim() || null);
+    if (dates.some(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d))) throw new Error('Expiry dates must be dates.');
+
+    const owner = getBusByPlate(p);
+    if (owner && owner.id !== id) throw new Error(`Plate ${p} is already in the fleet.`);
+
+    if (id) {
+      // Past trips keep the type they ran as; only a bus with no trips can change type
+      const bus = getBus(id);
+      if (bus && bus.vehicle_id !== vehicleId && DB.query('SELECT 1 FROM trips WHERE fleet_id = ? LIMIT 1', [id]).length) {
+        throw new Error('Cannot change the type of a bus that has trips.');
+      }
+      await DB.transaction(async ({ run }) => {
+        run(`
+          UPDATE fleet
+          SET plate = ?, vehicle_id = ?, has_ac = ?, roadworthy_expiry = ?, insurance_expiry = ?
+          WHERE id = ?
+        `, [p, vehicleId, hasAc ? 1 : 0, ...dates, id]);
+        // Timetabled departures follow a corrected plate; past trips keep theirs
+        run('UPDATE schedules SET vehicle_no = ? WHERE fleet_id = ?', [p, id]);
+      });
+      return id;
+    }
+    const result = await DB.run(`
+      INSERT INTO fleet (plate, vehicle_id, has_ac, roadworthy_expiry, insurance_expiry)
+      VALUES (?, ?, ?, ?, ?)
+    `, [p, vehicleId, hasAc ? 1 : 0, ...dates]);
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Take a bus out of service (with a note saying why) or return it.
+   * Out-of-service buses can't be given new trips.
+   */
+  async function setBusStatus(id, status, note = null) {
+    if (!FLEET_STATUSES.includes(status)) throw new Error(`Unknown bus status: ${status}`);
+    if (status === 'out_of_service' && !note?.trim()) throw new Error('Say why the bus is out of service.');
+    await DB.run(
+      'UPDATE fleet SET status = ?, status_note = ? WHERE id = ?',
+      [status, status === 'active' ? null : note.trim(), id]
+    );
+    return getBus(id);
+  }
+
+  /**
+   * Delete a bus that has never run a trip or been timetabled
+   */
+  async function deleteBus(id) {
+    const used = DB.query(`
+      SELECT 1 FROM trips WHERE fleet_id = ?
+      UNION ALL
+      SELECT 1 FROM schedules WHERE fleet_id = ?
+    `, [id, id]);
+    if (used.length) throw new Error('Cannot delete — bus has trips or departures. Take it out of service instead.');
+    await DB.run('DELETE FROM fleet WHERE id = ?', [id]);
+  }
+
+  // ── Documents ──────────────────────────────────────────────────────────────
+
+  /**
+   * Expired or soon-to-expire documents on buses in service, soonest first
+   * @returns {{ bus, document, expiry, state }[]}
+   */
+  function getExpiringDocuments(on = new Date()) {
+    const flagged = [];
+    getFleet({ inService: true }).forEach(bus => {
+      Object.entries(DOCUMENTS).forEach(([col, document]) => {
+        const state = docState(bus[col], on);
+        if (state === 'expired' || state === 'expiring') {
+          flagged.push({ bus, document, expiry: bus[col], state });
+        }
+      });
+    });
+    return flagged.sort((a, b) => a.expiry.localeCompare(b.expiry));
+  }
+
+  // ── Reports ────────────────────────────────────────────────────────────────
+
+  /**
+   * Trips, passengers and money per bus, optionally between two dates
+   * (YYYY-MM-DD, inclusive) on the trip's scheduled or booking date.
+   * Cancelled trips are left out.
+   */
+  function getBusReport({ from = null, to = null } = {}) {
+    const where  = [`t.status != 'cancelled'`, 't.deleted_at IS NULL'];
+    const params = [];
+    if (from) { where.push('date(COALESCE(t.scheduled_at, t.booked_at)) >= ?'); params.push(from); }
+    if (to)   { where.push('date(COALESCE(t.scheduled_at, t.booked_at)) <= ?'); params.push(to); }
+
+    return DB.query(`
+      SELECT
+        f.id,
+        f.plate,
+        f.status,
+        v.type AS vehicle_type,
+        COUNT(t.id) AS trip_count,
+        COALESCE(SUM(tt.passengers), 0) AS passengers,
+        COALESCE(SUM(tt.expected), 0)   AS expected,
+        COALESCE(SUM(tt.collected), 0)  AS collected
+      FROM fleet f
+      JOIN vehicles v ON f.vehicle_id = v.id
+      LEFT JOIN trips t ON t.fleet_id = f.id AND ${where.join(' AND ')}
+      LEFT JOIN (${DBHistory.TRIP_TOTALS}) tt ON tt.trip_id = t.id
+      GROUP BY f.id
+      ORDER BY expected DESC, f.plate
+    `, params);
+  }
+
+  /**
+   * A bus's trips, newest first, with passengers and money per trip
+   */
+  function getBusTrips(busId) {
+    return DB.query(`
+      SELECT
+        t.id,
+        t.booking_code,
+        t.status,
+        t.booked_at,
+        t.scheduled_at,
+        dep.name  AS departure,
+        dest.name AS destination,
+        d.name    AS driver_name,
+        COALESCE(tt.passengers, 0) AS passenger_count,
+        COALESCE(tt.expected, 0)   AS total_revenue,
+        COALESCE(tt.collected, 0)  AS collected
+      FROM trips t
+      JOIN routes  r    ON t.route_id       = r.id
+      JOIN places  dep  ON r.departure_id   = dep.id
+      JOIN places  dest ON r.destination_id = dest.id
+      JOIN drivers d    ON t.driver_id      = d.id
+      LEFT JOIN (${DBHistory.TRIP_TOTALS}) tt ON tt.trip_id = t.id
+      WHERE t.fleet_id = ? AND t.deleted_at IS NULL
+      ORDER BY COALESCE(t.scheduled_at, t.booked_at) DESC
+    `, [busId]);
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    FLEET_STATUSES, DOCUMENTS,
+    normalisePlate, docState,
+    getFleet, getBus, getBusByPlate,
+    saveBus, setBusStatus, deleteBus,
+    getExpiringDocuments,
+    getBusReport, getBusTrips,
+  };
+
+})();
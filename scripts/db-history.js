@@ -1,16 +1,40 @@
 /**
  * db-history.js
  * Data access layer — History page
- * Handles: trip history, filtering, totals
+ * Handles: trip history, filtering, totals, passenger detail for export,
+ *          moving trips to the trash
  */
 
 const DBHistory = (() => {
 
+  // Per-trip passengers, expected takings (fares less discounts and refunds;
+  // what was kept for cancelled passengers) and money collected (payments
+  // less refunds). Join it as `tt` wherever trips are totalled.
+  const TRIP_TOTALS = `
+    SELECT
+      p.trip_id,
+      SUM(CASE p.status WHEN 'booked' THEN 1 ELSE 0 END) AS passengers,
+      SUM(CASE p.status WHEN 'cancelled' THEN COALESCE(pm.paid, 0) ELSE p.fare - p.discount END)
+        - SUM(COALESCE(pm.refunded, 0)) AS expected,
+      SUM(COALESCE(pm.paid, 0)) - SUM(COALESCE(pm.refunded, 0)) AS collected
+    FROM passengers p
+    LEFT JOIN (
+      SELECT
+        passenger_id,
+        SUM(CASE kind WHEN 'payment' THEN amount ELSE 0 END) AS paid,
+        SUM(CASE kind WHEN 'refund'  THEN amount ELSE 0 END) AS refunded
+      FROM payments
+      GROUP BY passenger_id
+    ) pm ON pm.passenger_id = p.id
+    WHERE p.deleted_at IS NULL
+    GROUP BY p.trip_id
+  `;
+
   /**
-   * Get all trips with summary info.
-   * Optional filters: date (YYYY-MM-DD), routeId
+   * Get all trips with summary info, leaving out the trash.
+   * Optional filters: date (YYYY-MM-DD), routeId, status
    */
-  function getTrips({ date, routeId } = {}) {
+  function getTrips({ date, routeId, status } = {}) {
     let sql = `
       SELECT
         t.id,
@@ -18,31 +42,32 @@ const DBHistory = (() => {
         t.vehicle_no,
         t.has_ac,
         t.booked_at,
+        t.status,
+        t.scheduled_at,
+        t.departed_at,
+        t.arrived_at,
+        t.cancelled_at,
+        t.cancel_reason,
         dep.name  AS departure,
         dest.name AS destination,
         v.type    AS vehicle_type,
         v.capacity,
         d.name    AS driver_name,
-        CASE t.has_ac
-          WHEN 1 THEN r.price_ac
-          ELSE r.price_no_ac
-        END AS fare,
-        COUNT(p.id) AS passenger_count,
-        CASE t.has_ac
-          WHEN 1 THEN r.price_ac * COUNT(p.id)
-          ELSE r.price_no_ac * COUNT(p.id)
-        END AS total_revenue
+        t.fare,
+        COALESCE(tt.passengers, 0) AS passenger_count,
+        COALESCE(tt.expected, 0)   AS total_revenue,
+        COALESCE(tt.collected, 0)  AS collected
       FROM trips t
       JOIN routes   r    ON t.route_id       = r.id
       JOIN places   dep  ON r.departure_id   = dep.id
       JOIN places   dest ON r.destination_id = dest.id
       JOIN vehicles v    ON r.vehicle_id     = v.id
       JOIN drivers  d    ON t.driver_id      = d.id
-      LEFT JOIN passengers p ON p.trip_id = t.id
+      LEFT JOIN (${TRIP_TOTALS}) tt ON tt.trip_id = t.id
     `;
 
     const params = [];
-    const where  = [];
+    const where  = ['t.deleted_at IS NULL'];
 
     if (date) {
       where.push(`date(t.booked_at) = ?`);
@@ -54,12 +79,110 @@ const DBHistory = (() => {
       params.push(routeId);
     }
 
-    if (where.length) sql += ' WHERE ' + where.join(' AND ');
-    sql += ' GROUP BY t.id ORDER BY t.booked_at DESC';
+    if (status) {
+      where.push(`t.status = ?`);
+      params.push(status);
+    }
+
+    sql += ' WHERE ' + where.join(' AND ');
+    sql += ' ORDER BY t.booked_at DESC';
 
     return DB.query(sql, params);
   }
 
+  /**
+   * Passengers on a trip with what each has paid and still owes,
+   * cancelled ones last. A cancelled passenger owes nothing.
+   */
+  function getTripPassengers(tripId) {
+    return DB.query(`
+      SELECT
+        p.*,
+        COALESCE(SUM(CASE pm.kind WHEN 'payment' THEN pm.amount END), 0)
+          - COALESCE(SUM(CASE pm.kind WHEN 'refund' THEN pm.amount END), 0) AS collected,
+        CASE p.status WHEN 'cancelled' THEN 0 ELSE
+          COALESCE(p.fare, 0) - p.discount
+            - COALESCE(SUM(CASE pm.kind WHEN 'payment' THEN pm.amount END), 0)
+        END AS balance
+      FROM passengers p
+      LEFT JOIN payments pm ON pm.passenger_id = p.id
+      WHERE p.trip_id = ? AND p.deleted_at IS NULL
+      GROUP BY p.id
+      ORDER BY p.status = 'cancelled', p.seat_no IS NULL, p.seat_no, p.id
+    `, [tripId]);
+  }
+
+  /**
+   * One row per passenger across the given trips, with the trip's details
+   * and the passenger's money, in the order of tripIds then by seat
+   */
+  function getPassengerDetail(tripIds) {
+    const order = new Map(tripIds.map((id, i) => [id, i]));
+    const rows  = [];
+    // Keep well under SQLite's limit on bound parameters
+    for (let i = 0; i < tripIds.length; i += 500) {
+      rows.push(..._passengerDetail(tripIds.slice(i, i + 500)));
+    }
+    return rows.sort((a, b) => order.get(a.trip_id) - order.get(b.trip_id));
+  }
+
+  function _passengerDetail(tripIds) {
+    return DB.query(`
+      SELECT
+        t.id AS trip_id,
+        t.booking_code,
+        t.booked_at,
+        t.scheduled_at,
+        t.status,
+        t.vehicle_no,
+        dep.name  AS departure,
+        dest.name AS destination,
+        d.name    AS driver_name,
+        p.seat_no,
+        p.name,
+        p.phone,
+        p.gender,
+        p.status AS passenger_status,
+        p.cancel_reason,
+        p.nok_name,
+        p.nok_phone,
+        p.id_type,
+        p.id_number,
+        p.address,
+        p.fare,
+        p.discount,
+        p.discount_reason,
+        COALESCE(pm.paid, 0)     AS paid,
+        COALESCE(pm.refunded, 0) AS refunded,
+        CASE p.status WHEN 'cancelled' THEN 0
+          ELSE COALESCE(p.fare, 0) - p.discount - COALESCE(pm.paid, 0)
+        END AS balance
+      FROM passengers p
+      JOIN trips   t    ON p.trip_id         = t.id
+      JOIN routes  r    ON t.route_id        = r.id
+      JOIN places  dep  ON r.departure_id    = dep.id
+      JOIN places  dest ON r.destination_id  = dest.id
+      JOIN drivers d    ON t.driver_id       = d.id
+      LEFT JOIN (
+        SELECT
+          passenger_id,
+          SUM(CASE kind WHEN 'payment' THEN amount ELSE 0 END) AS paid,
+          SUM(CASE kind WHEN 'refund'  THEN amount ELSE 0 END) AS refunded
+        FROM payments
+        GROUP BY passenger_id
+      ) pm ON pm.passenger_id = p.id
+      WHERE t.id IN (${tripIds.map(() => '?').join(',')}) AND p.deleted_at IS NULL
+      ORDER BY p.seat_no IS NULL, p.seat_no, p.id
+    `, tripIds);
+  }
+
+  /**
+   * Passengers moved onto or off a trip, oldest first
+   */
+  function getTripTransfers(tripId) {
+    return DBBooking.getTransfers(tripId);
+  }
+
   /**
    * Get distinct dates that have trips (for date filter dropdown)
    */
@@ -67,29 +190,41 @@ const DBHistory = (() => {
     return DB.query(`
       SELECT DISTINCT date(booked_at) AS date
       FROM trips
+      WHERE deleted_at IS NULL
       ORDER BY date DESC
     `).map(r => r.date);
   }
 
   /**
-   * Get total revenue across filtered trips
+   * Get money totals across filtered trips.
+   * expected: fares less discounts and refunds; collected: payments less refunds
    */
   function getTotalRevenue(trips) {
-    return trips.reduce((sum, t) => sum + (t.total_revenue || 0), 0);
+    const expected  = trips.reduce((sum, t) => sum + (t.total_revenue || 0), 0);
+    const collected = trips.reduce((sum, t) => sum + (t.collected || 0), 0);
+    return { expected, collected, outstanding: expected - collected };
   }
 
   /**
-   * Delete a trip and all its passengers
+   * Move a trip and its passengers to the trash, noting who deleted it
+   * and why. It can be restored until the trash is purged.
    */
-  async function deleteTrip(tripId) {
-    await DB.transaction(async ({ run }) => {
-      run('DELETE FROM passengers WHERE trip_id = ?', [tripId]);
-      run('DELETE FROM trips WHERE id = ?', [tripId]);
-    });
+  async function deleteTrip(tripId, { by, reason } = {}) {
+    if (!by?.trim()) throw new Error('Enter who is deleting the trip.');
+    if (!reason?.trim()) throw new Error('Give a reason for deleting the trip.');
+    await DB.run(`
+      UPDATE trips
+      SET deleted_at = datetime('now','localtime'), deleted_by = ?, delete_reason = ?
+      WHERE id = ? AND deleted_at IS NULL
+    `, [by.trim(), reason.trim(), tripId]);
   }
 
   // ── Public API ─────────────────────────────────────────────────────────────
 
-  return { getTrips, getTripDates, getTotalRevenue, deleteTrip };
+  return {
+    TRIP_TOTALS,
+    getTrips, getTripPassengers, getTripTransfers, getPassengerDetail,
+    getTripDates, getTotalRevenue, deleteTrip,
+  };
 
 })();
@@ -0,0 +1,258 @@
+/**
+ * db-import.js
+ * Data access layer — Bulk import
+ * Handles: CSV of places, vehicle types or route fares; dry-run preview; applying
+ *          in one transaction using the same rules as the config page
+ */
+
+const DBImport = (() => {
+
+  // Accepted headers per kind, compared lower-case with _ and - read as spaces
+  const KINDS = {
+    places: {
+      label:    'Places',
+      columns:  { name: ['name', 'place'], state: ['state'], country: ['country'] },
+      required: ['name'],
+    },
+    vehicles: {
+      label:    'Vehicle types',
+      columns:  { type: ['type', 'vehicle', 'vehicle type'], capacity: ['capacity', 'seats'] },
+      required: ['type', 'capacity'],
+    },
+    routes: {
+      label:    'Routes and fares',
+      columns:  {
+        departure:   ['departure', 'from'],
+        destination: ['destination', 'to'],
+        vehicle:     ['vehicle type', 'vehicle', 'type'],
+        price_ac:    ['price ac', 'ac price', 'ac'],
+        price_no_ac: ['price no ac', 'no ac price', 'no ac', 'non ac', 'price'],
+      },
+      required: ['departure', 'destination', 'vehicle'],
+    },
+  };
+
+  const ACTIONS = ['create', 'update', 'unchanged', 'reject'];
+
+  // Thrown to roll back a dry run
+  const DRY_RUN = Symbol('dry run');
+
+  // ── CSV ────────────────────────────────────────────────────────────────────
+
+  /**
+   * Rows of fields from CSV text. Handles quoted fields, "" escapes,
+   * CRLF line endings and a leading byte-order mark.
+   * @returns {string[][]}
+   */
+  function parseCSV(text) {
+    const src  = String(text ?? '').replace(/^﻿/, '');
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(field); field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i++;
+        row.push(field); rows.push(row);
+        row = []; field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || row.length) { row.push(field); rows.push(row); }
+    return rows;
+  }
+
+  const _norm = h => String(h).trim().toLowerCase().replace(/[_\-\s]+/g, ' ');
+
+  /**
+   * Work out what a file holds from its header row, and read each line
+   * into a record keyed by column
+   * @returns {{ kind, records: { line, values }[] }}
+   */
+  function _read(text) {
+    const rows = parseCSV(text);
+    if (!rows.length) throw new Error('The file is empty.');
+    const headers = rows[0].map(_norm);
+
+    const kind = headers.includes('departure') || headers.includes('from') ? 'routes'
+      : headers.includes('capacity') || headers.includes('seats')          ? 'vehicles'
+      : headers.includes('name') || headers.includes('place')              ? 'places'
+      : null;
+    if (!kind) throw new Error('Unrecognised columns. Use the headers shown under Import.');
+
+    const index = {};
+    for (const [col, aliases] of Object.entries(KINDS[kind].columns)) {
+      const i = aliases.map(a => headers.indexOf(a)).find(i => i >= 0);
+      if (i !== undefined) index[col] = i;
+    }
+    const missing = KINDS[kind].required.filter(c => index[c] === undefined).map(c => KINDS[kind].columns[c][0]);
+    if (missing.length) throw new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}.`);
+
+    const records = rows.slice(1)
+      .map((r, i) => ({
+        line:   i + 2,
+        values: Object.fromEntries(Object.entries(index).map(([c, at]) => [c, String(r[at] ?? '').trim()])),
+      }))
+      .filter(r => Object.values(r.values).some(Boolean));
+    return { kind, records };
+  }
+
+  // Amount from a cell: '₦20,000' or 'KSh 1,500' → number, blank → null
+  function _amount(v) {
+    if (!v) return null;
+    const digits = v.replace(/[,\s]/g, '').replace(/^[^\d.-]+|[^\d.]+$/g, '');
+    const n = digits ? Number(digits) : NaN;
+    if (isNaN(n) || n < 0) throw new Error(`"${v}" is not a price.`);
+    return n || null;
+  }
+
+  // ── Rows ───────────────────────────────────────────────────────────────────
+  // Each returns { action, item, detail } and writes through the config rules
+
+  function _place(tx, v) {
+    let stateId = null;
+    if (v.state) {
+      const states = tx.query(`
+        SELECT s.id, s.name, c.name AS country
+        FROM states s JOIN countries c ON s.country_id = c.id
+        WHERE (s.name = ? COLLATE NOCASE OR s.code = ? COLLATE NOCASE)
+          AND (? = '' OR c.name = ? COLLATE NOCASE OR c.code = ? COLLATE NOCASE)
+      `, [v.state, v.state, v.country || '', v.country || '', v.country || '']);
+      if (!states.length) throw new Error(`Unknown state "${v.state}".`);
+      if (states.length > 1) throw new Error(`"${v.state}" is a state in more than one country. Add a country column.`);
+      stateId = states[0].id;
+    }
+
+    const existing = tx.query('SELECT * FROM places WHERE name = ? COLLATE NOCASE', [v.name])[0];
+    if (!existing) {
+      DBConfig.insertPlace(tx, v.name, stateId);
+      return { action: 'create', item: v.name, detail: v.state || '' };
+    }
+    if (!stateId || existing.state_id === stateId) {
+      return { action: 'unchanged', item: existing.name, detail: '' };
+    }
+    tx.run('UPDATE places SET state_id = ? WHERE id = ?', [stateId, existing.id]);
+    return { action: 'update', item: existing.name, detail: `state → ${v.state}` };
+  }
+
+  function _vehicle(tx, v) {
+    const capacity = Number(v.capacity);
+    if (!Number.isInteger(capacity)) throw new Error(`"${v.capacity}" is not a number of seats.`);
+
+    const existing = tx.query('SELECT * FROM vehicles WHERE type = ? COLLATE NOCASE', [v.type])[0];
+    if (!existing) {
+      DBConfig.upsertVehicle(tx, { type: v.type, capacity });
+      return { action: 'create', item: v.type, detail: `${capacity} seats` };
+    }
+    if (existing.capacity === capacity) {
+      return { action: 'unchanged', item: existing.type, detail: `${capacity} seats` };
+    }
+    // A custom seat map must still fit the new capacity
+    DBConfig.upsertVehicle(tx, { id: existing.id, type: existing.type, capacity, layout: existing.layout });
+    return { action: 'update', item: existing.type, detail: `${existing.capacity} → ${capacity} seats` };
+  }
+
+  function _route(tx, v) {
+    const vehicle = tx.query('SELECT * FROM vehicles WHERE type = ? COLLATE NOCASE', [v.vehicle])[0];
+    if (!vehicle) throw new Error(`Unknown vehicle type "${v.vehicle}". Import or add it first.`);
+    const priceAc   = _amount(v.price_ac);
+    const priceNoAc = _amount(v.price_no_ac);
+    if (!priceAc && !priceNoAc) throw new Error('Enter at least one price.');
+
+    // Places are added as needed, as when typing them into route config
+    const notes = [];
+    const place = name => {
+      const p = tx.query('SELECT id, name FROM places WHERE name = ? COLLATE NOCASE', [name])[0];
+      if (p) return p;
+      notes.push(`new place ${name}`);
+      return { id: DBConfig.insertPlace(tx, name), name };
+    };
+    const dep  = place(v.departure);
+    const dest = place(v.destination);
+    const item = `${dep.name} → ${dest.name} · ${vehicle.type}`;
+
+    const find = (a, b) => tx.query(`
+      SELECT * FROM routes WHERE departure_id = ? AND destination_id = ? AND vehicle_id = ?
+    `, [a, b, vehicle.id])[0];
+    const forward = find(dep.id, dest.id);
+    const reverse = find(dest.id, dep.id);
+
+    DBConfig.upsertRoute(tx, {
+      departureId: dep.id, destinationId: dest.id, vehicleId: vehicle.id, priceAc, priceNoAc,
+    });
+
+    const price = n => n ? DB.formatMoney(n) : '—';
+    notes.unshift(`No AC ${price(priceNoAc)} · AC ${price(priceAc)}`);
+    if (!reverse && dep.id !== dest.id) notes.push('reverse route added');
+    if (!forward) return { action: 'create', item, detail: notes.join(' · ') };
+    if (forward.price_ac === priceAc && forward.price_no_ac === priceNoAc) {
+      return { action: 'unchanged', item, detail: notes.join(' · ') };
+    }
+    notes[0] = `No AC ${price(forward.price_no_ac)} → ${price(priceNoAc)} · AC ${price(forward.price_ac)} → ${price(priceAc)}`;
+    return { action: 'update', item, detail: notes.join(' · ') };
+  }
+
+  const HANDLERS = { places: _place, vehicles: _vehicle, routes: _route };
+
+  // ── Import ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Run every line inside one transaction. Each line is its own savepoint,
+   * so a rejected line is undone without losing the others.
+   */
+  async function _import(text, apply) {
+    const { kind, records } = _read(text);
+    const rows = [];
+    try {
+      await DB.transaction(async tx => {
+        for (const { line, values } of records) {
+          tx.run('SAVEPOINT import_row');
+          try {
+            rows.push({ line, ...HANDLERS[kind](tx, values) });
+            tx.run('RELEASE import_row');
+          } catch (err) {
+            tx.run('ROLLBACK TO import_row');
+            tx.run('RELEASE import_row');
+            const item = Object.values(values).filter(Boolean).slice(0, 3).join(' · ');
+            rows.push({ line, action: 'reject', item, detail: err.message });
+          }
+        }
+        if (!apply) throw DRY_RUN;
+      });
+    } catch (err) {
+      if (err !== DRY_RUN) throw err;
+    }
+
+    const counts = Object.fromEntries(ACTIONS.map(a => [a, rows.filter(r => r.action === a).length]));
+    return { kind, label: KINDS[kind].label, rows, counts, applied: apply };
+  }
+
+  /**
+   * What importing the file would do, without changing anything
+   * @returns {Promise<{ kind, label, rows: { line, action, item, detail }[], counts, applied }>}
+   */
+  function previewImport(text) {
+    return _import(text, false);
+  }
+
+  /**
+   * Import the file. Lines that would be rejected are skipped; the rest
+   * are saved together.
+   */
+  function applyImport(text) {
+    return _import(text, true);
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return { KINDS, ACTIONS, parseCSV, previewImport, applyImport };
+
+})();
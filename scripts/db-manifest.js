@@ -1,7 +1,8 @@
 /**
  * db-manifest.js
  * Data access layer — Preview/Manifest page
- * Handles: full manifest query for a trip
+ * Handles: full manifest query for a trip, passengers grouped by drop-off,
+ *          passenger tickets, what the manifest and ticket QR codes carry
  */
 
 const DBManifest = (() => {
@@ -15,20 +16,19 @@ const DBManifest = (() => {
     const trip = DB.query(`
       SELECT
         t.id,
+        t.route_id,
         t.booking_code,
         t.vehicle_no,
         t.has_ac,
         t.booked_at,
+        t.status,
         dep.name  AS departure,
         dest.name AS destination,
         v.type    AS vehicle_type,
         v.capacity,
         d.name    AS driver_name,
         d.phone   AS driver_phone,
-        CASE t.has_ac
-          WHEN 1 THEN r.price_ac
-          ELSE r.price_no_ac
-        END AS fare,
+        t.fare,
         c.name AS company
       FROM trips t
       JOIN routes   r    ON t.route_id       = r.id
@@ -37,20 +37,60 @@ const DBManifest = (() => {
       JOIN vehicles v    ON r.vehicle_id     = v.id
       JOIN drivers  d    ON t.driver_id      = d.id
       LEFT JOIN company c ON 1=1
-      WHERE t.booking_code = ?
+      WHERE t.booking_code = ? AND t.deleted_at IS NULL
     `, [bookingCode])[0] || null;
 
     if (!trip) return null;
 
-    // Passengers on this trip
-    const passengers = DB.query(`
-      SELECT id, name, phone, gender
-      FROM passengers
-      WHERE trip_id = ?
-      ORDER BY id ASC
-    `, [trip.id]);
+    // Passengers on this trip by where they get off, then seat, with
+    // fare, discount and money taken
+    const booked = DB.query(`
+      SELECT
+        p.id, p.name, p.phone, p.gender, p.seat_no, p.fare, p.discount,
+        p.nok_name, p.nok_phone, p.id_type, p.id_number, p.address,
+        p.boarded_at, p.no_show,
+        l.board_pos, l.alight_pos,
+        bp.name AS board_place,
+        ap.name AS alight_place,
+        COALESCE((SELECT SUM(amount) FROM payments WHERE passenger_id = p.id AND kind = 'payment'), 0) AS paid,
+        COALESCE((SELECT SUM(amount) FROM payments WHERE passenger_id = p.id AND kind = 'refund'),  0) AS refunded
+      FROM passengers p
+      JOIN passenger_legs l ON l.id = p.id
+      LEFT JOIN places bp ON p.board_id  = bp.id
+      LEFT JOIN places ap ON p.alight_id = ap.id
+      WHERE p.trip_id = ?
+      ORDER BY l.alight_pos IS NULL, l.alight_pos, p.seat_no IS NULL, p.seat_no, p.id
+    `, [trip.id]).map(p => ({
+      ...p,
+      expected: (p.fare || 0) - p.discount - p.refunded,
+      balance:  (p.fare || 0) - p.discount - p.paid,
+    }));
+
+    // Once a boarding trip has left, the manifest is who actually got on.
+    // The money is still everyone's: a no-show's fare is kept.
+    const passengers      = booked.filter(p => !p.no_show);
+    const no_shows        = booked.length - passengers.length;
+    const total_fare      = booked.reduce((sum, p) => sum + p.expected, 0);
+    const total_collected = booked.reduce((sum, p) => sum + p.paid - p.refunded, 0);
+
+    // Drop-off points in route order, each with the passengers getting off there
+    const stops     = DBStops.getStops(trip.route_id);
+    const drop_offs = [];
+    for (const p of passengers) {
+      const place = p.alight_place || trip.destination;
+      const group = drop_offs[drop_offs.length - 1];
+      if (group?.place === place) group.passengers.push(p);
+      else drop_offs.push({ place, passengers: [p] });
+    }
+
+    // Most people aboard at once, which is what the seats have to hold
+    let peak_load = 0;
+    for (let at = 0; at < stops.length - 1; at++) {
+      const aboard = passengers.filter(p => p.board_pos <= at && p.alight_pos > at).length;
+      peak_load = Math.max(peak_load, aboard);
+    }
 
-    return { ...trip, passengers };
+    return { ...trip, passengers, no_shows, total_fare, total_collected, stops, drop_offs, peak_load };
   }
 
   /**
@@ -58,13 +98,89 @@ const DBManifest = (() => {
    */
   function getLatestManifest() {
     const latest = DB.query(`
-      SELECT booking_code FROM trips ORDER BY id DESC LIMIT 1
+      SELECT booking_code FROM trips WHERE deleted_at IS NULL ORDER BY id DESC LIMIT 1
     `)[0];
     return latest ? getManifest(latest.booking_code) : null;
   }
 
+  // ── Tickets ────────────────────────────────────────────────────────────────
+
+  function _tickets(where, params) {
+    return DB.query(`
+      SELECT
+        p.id, p.name, p.phone, p.gender, p.seat_no, p.fare, p.discount,
+        t.booking_code,
+        t.vehicle_no,
+        t.booked_at,
+        t.scheduled_at,
+        COALESCE(bp.name, dep.name)  AS board_place,
+        COALESCE(ap.name, dest.name) AS alight_place,
+        dep.name  AS departure,
+        dest.name AS destination,
+        v.type    AS vehicle_type,
+        c.name    AS company,
+        COALESCE((SELECT SUM(amount) FROM payments WHERE passenger_id = p.id AND kind = 'payment'), 0) AS paid,
+        COALESCE((SELECT SUM(amount) FROM payments WHERE passenger_id = p.id AND kind = 'refund'),  0) AS refunded
+      FROM passenger_legs l
+      JOIN passengers p    ON p.id             = l.id
+      JOIN trips    t      ON p.trip_id        = t.id
+      JOIN routes   r      ON t.route_id       = r.id
+      JOIN places   dep    ON r.departure_id   = dep.id
+      JOIN places   dest   ON r.destination_id = dest.id
+      JOIN vehicles v      ON r.vehicle_id     = v.id
+      LEFT JOIN places bp  ON p.board_id       = bp.id
+      LEFT JOIN places ap  ON p.alight_id      = ap.id
+      LEFT JOIN company c  ON 1=1
+      WHERE ${where}
+      ORDER BY p.seat_no IS NULL, p.seat_no, p.id
+    `, params).map(p => ({
+      ...p,
+      departs: p.scheduled_at || p.booked_at,
+      balance: (p.fare || 0) - p.discount - p.paid,
+    }));
+  }
+
+  /**
+   * One booked passenger's ticket, or null if they are cancelled or deleted
+   */
+  function getTicket(passengerId) {
+    return _tickets('p.id = ?', [passengerId])[0] || null;
+  }
+
+  /**
+   * A ticket for everyone booked on a trip, by seat
+   */
+  function getTickets(bookingCode) {
+    return _tickets('t.booking_code = ?', [bookingCode]);
+  }
+
+  // ── QR codes ───────────────────────────────────────────────────────────────
+  // A manifest carries MANIFEST:<booking code>; a ticket carries
+  // TICKET:<booking code>:<passenger id>. Plain text so any phone camera
+  // shows something readable.
+
+  function qrText(bookingCode, passengerId = null) {
+    return passengerId ? `TICKET:${bookingCode}:${passengerId}` : `MANIFEST:${bookingCode}`;
+  }
+
+  /**
+   * What a scanned or typed code refers to. A bare booking code is
+   * accepted too.
+   * @returns {{ bookingCode: string, passengerId: number|null }|null}
+   */
+  function parseQrText(text) {
+    const s = String(text ?? '').trim().toUpperCase();
+    const m = s.match(/^(?:MANIFEST:([^:\s]+)|TICKET:([^:\s]+):(\d+))$/);
+    if (m) return { bookingCode: m[1] || m[2], passengerId: m[3] ? Number(m[3]) : null };
+    return s && !/[:\s]/.test(s) ? { bookingCode: s, passengerId: null } : null;
+  }
+
   // ── Public API ─────────────────────────────────────────────────────────────
 
-  return { getManifest, getLatestManifest };
+  return {
+    getManifest, getLatestManifest,
+    getTicket, getTickets,
+    qrText, parseQrText,
+  };
 
 })();
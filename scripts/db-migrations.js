@@ -0,0 +1,1084 @@
+/**
+ * db-migrations.js
+ * Schema migrations for Manifest App
+ * Run in order by DB.init() — the applied version lives in PRAGMA user_version
+ */
+
+const DBMigrations = (() => {
+
+  // ── Helpers ────────────────────────────────────────────────────────────────
+
+  function hasTable(query, table) {
+    return query(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`,
+      [table]
+    ).length > 0;
+  }
+
+  function hasColumn(query, table, column) {
+    return query(`PRAGMA table_info(${table})`).some(c => c.name === column);
+  }
+
+  // Same rule as DBDirectory.phoneKey, frozen here so this migration
+  // keeps giving the same result if the app's rule changes later
+  function phoneKey(phone) {
+    const digits = String(phone ?? '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-10) : null;
+  }
+
+  // SQL for the position of a place along a route: 0 at the departure,
+  // 1..n at the stops, n + 1 at the destination, NULL if it isn't on the route
+  function stopPos(place, route) {
+    return `(
+      CASE ${place}
+        WHEN (SELECT departure_id FROM routes WHERE id = ${route}) THEN 0
+        WHEN (SELECT destination_id FROM routes WHERE id = ${route})
+          THEN (SELECT COUNT(*) + 1 FROM route_stops WHERE route_id = ${route})
+        ELSE (SELECT stop_order FROM route_stops WHERE route_id = ${route} AND place_id = ${place})
+      END)`;
+  }
+
+  // Columns kept out of the audit log: only whether they are set is recorded
+  const AUDIT_HIDDEN = { operators: ['pin_hash', 'pin_salt'], drivers: ['photo'] };
+
+  // Set once when a row is made, by a trigger of its own. Filling it in
+  // alone isn't a change worth logging.
+  const AUDIT_QUIET = ['uid'];
+
+  /**
+   * (Re)create the triggers that copy every insert, update and delete on a
+   * table into audit_log, with the row before and after as JSON. The column
+   * list is fixed when the triggers are made, so a migration that adds
+   * columns to an audited table must call this again.
+   */
+  function auditTable({ query, run }, table) {
+    const cols   = query(`PRAGMA table_info(${table})`).map(c => c.name);
+    const hidden = AUDIT_HIDDEN[table] || [];
+    const row    = ref => `json_object(${cols.map(c =>
+      `'${c}', ${hidden.includes(c) ? `${ref}.${c} IS NOT NULL` : `${ref}.${c}`}`
+    ).join(', ')})`;
+    const log    = (action, ref, before, after) => `
+      INSERT INTO audit_log (action, table_name, row_id, before, after)
+      VALUES ('${action}', '${table}', ${ref}.rowid, ${before}, ${after})`;
+
+    for (const action of ['insert', 'update', 'delete']) run(`DROP TRIGGER IF EXISTS audit_${table}_${action}`);
+    run(`
+      CREATE TRIGGER audit_${table}_insert AFTER INSERT ON ${table}
+      BEGIN ${log('insert', 'NEW', 'NULL', row('NEW'))}; END
+    `);
+    run(`
+      CREATE TRIGGER audit_${table}_update AFTER UPDATE ON ${table}
+      WHEN ${cols.filter(c => !AUDIT_QUIET.includes(c)).map(c => `OLD.${c} IS NOT NEW.${c}`).join(' OR ')}
+      BEGIN ${log('update', 'NEW', row('OLD'), row('NEW'))}; END
+    `);
+    run(`
+      CREATE TRIGGER audit_${table}_delete AFTER DELETE ON ${table}
+      BEGIN ${log('delete', 'OLD', row('OLD'), 'NULL')}; END
+    `);
+  }
+
+  // ── Migrations ─────────────────────────────────────────────────────────────
+  // Each migration must be idempotent: a database restored from an old backup
+  // may already contain part of a later schema (e.g. places.state_id was added
+  // by hand before versioning existed).
+  // up() receives { query, run } from DB.transaction and must not persist.
+  // From v16 every table is audited: see auditTable() when changing columns.
+
+  const MIGRATIONS = [
+    {
+      version: 1,
+      name: 'baseline',
+      up({ query, run }) {
+        run(`
+          CREATE TABLE IF NOT EXISTS company (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        run(`
+          CREATE TABLE IF NOT EXISTS countries (
+            id   INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE,
+            code TEXT NOT NULL UNIQUE
+          )
+        `);
+        run(`
+          CREATE TABLE IF NOT EXISTS states (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            country_id INTEGER NOT NULL REFERENCES countries(id),
+            name       TEXT NOT NULL,
+            code       TEXT,
+            UNIQUE(country_id, name)
+          )
+        `);
+        run(`
+          CREATE TABLE IF NOT EXISTS places (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE COLLATE NOCASE
+          )
+        `);
+        if (!hasColumn(query, 'places', 'state_id')) {
+          run('ALTER TABLE places ADD COLUMN state_id INTEGER REFERENCES states(id)');
+        }
+        run(`
+          CREATE TABLE IF NOT EXISTS vehicles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL UNIQUE,
+            capacity INTEGER NOT NULL
+          )
+        `);
+        run(`
+          CREATE TABLE IF NOT EXISTS routes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            departure_id INTEGER NOT NULL REFERENCES places(id),
+            destination_id INTEGER NOT NULL REFERENCES places(id),
+            vehicle_id INTEGER NOT NULL REFERENCES vehicles(id),
+            price_ac REAL,
+            price_no_ac REAL,
+            UNIQUE(departure_id, destination_id, vehicle_id)
+          )
+        `);
+        run(`
+          CREATE TABLE IF NOT EXISTS drivers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            phone TEXT NOT NULL UNIQUE,
+            vehicle_no TEXT
+          )
+        `);
+        run(`
+          CREATE TABLE IF NOT EXISTS trips (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            booking_code TEXT NOT NULL UNIQUE,
+            route_id INTEGER NOT NULL REFERENCES routes(id),
+            driver_id INTEGER NOT NULL REFERENCES drivers(id),
+            vehicle_no TEXT NOT NULL,
+            has_ac INTEGER NOT NULL DEFAULT 0,
+            booked_at TEXT DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        run(`
+          CREATE TABLE IF NOT EXISTS passengers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            trip_id INTEGER NOT NULL REFERENCES trips(id),
+            name TEXT NOT NULL,
+            phone TEXT,
+            gender TEXT CHECK(gender IN ("male", "female", "other"))
+          )
+        `);
+        run(`
+          CREATE TRIGGER IF NOT EXISTS enforce_seat_capacity
+          BEFORE INSERT ON passengers
+          BEGIN
+            SELECT RAISE(ABORT, 'Vehicle is fully booked. No seats remaining.')
+            WHERE (
+              SELECT COUNT(*) FROM passengers WHERE trip_id = NEW.trip_id
+            ) >= (
+              SELECT v.capacity
+              FROM trips t
+              JOIN routes r ON t.route_id = r.id
+              JOIN vehicles v ON r.vehicle_id = v.id
+              WHERE t.id = NEW.trip_id
+            );
+          END
+        `);
+      },
+    },
+    {
+      version: 2,
+      name: 'frozen_fares',
+      up({ query, run }) {
+        // Fare charged is recorded on the trip and on each passenger,
+        // so later price changes don't rewrite history.
+        if (!hasColumn(query, 'trips', 'fare')) {
+          run('ALTER TABLE trips ADD COLUMN fare REAL');
+        }
+        if (!hasColumn(query, 'passengers', 'fare')) {
+          run('ALTER TABLE passengers ADD COLUMN fare REAL');
+        }
+        run(`
+          UPDATE trips SET fare = (
+            SELECT CASE trips.has_ac WHEN 1 THEN r.price_ac ELSE r.price_no_ac END
+            FROM routes r WHERE r.id = trips.route_id
+          )
+          WHERE fare IS NULL
+        `);
+        run(`
+          UPDATE passengers SET fare = (
+            SELECT t.fare FROM trips t WHERE t.id = passengers.trip_id
+          )
+          WHERE fare IS NULL
+        `);
+
+        // Every price a route has had, newest last
+        run(`
+          CREATE TABLE IF NOT EXISTS route_prices (
+            id           INTEGER PRIMARY KEY AUTOINCREMENT,
+            route_id     INTEGER NOT NULL REFERENCES routes(id),
+            price_ac     REAL,
+            price_no_ac  REAL,
+            effective_at TEXT DEFAULT (datetime('now','localtime'))
+          )
+        `);
+        run(`
+          INSERT INTO route_prices (route_id, price_ac, price_no_ac)
+          SELECT r.id, r.price_ac, r.price_no_ac
+          FROM routes r
+          WHERE NOT EXISTS (SELECT 1 FROM route_prices rp WHERE rp.route_id = r.id)
+        `);
+      },
+    },
+    {
+      version: 3,
+      name: 'payments',
+      up({ query, run }) {
+        if (!hasColumn(query, 'passengers', 'discount')) {
+          run('ALTER TABLE passengers ADD COLUMN discount REAL NOT NULL DEFAULT 0');
+        }
+        if (!hasColumn(query, 'passengers', 'discount_reason')) {
+          run('ALTER TABLE passengers ADD COLUMN discount_reason TEXT');
+        }
+
+        // Money in (payment) and out (refund) per passenger
+        run(`
+          CREATE TABLE IF NOT EXISTS payments (
+            id           INTEGER PRIMARY KEY AUTOINCREMENT,
+            passenger_id INTEGER NOT NULL REFERENCES passengers(id),
+            kind         TEXT NOT NULL DEFAULT 'payment' CHECK(kind IN ('payment', 'refund')),
+            amount       REAL NOT NULL CHECK(amount > 0),
+            method       TEXT NOT NULL DEFAULT 'cash' CHECK(method IN ('cash', 'transfer', 'pos', 'other')),
+            note         TEXT,
+            created_at   TEXT DEFAULT (datetime('now','localtime'))
+          )
+        `);
+        run('CREATE INDEX IF NOT EXISTS idx_payments_passenger ON payments(passenger_id)');
+
+        // Bookings made before payments were tracked were assumed paid in full
+        run(`
+          INSERT INTO payments (passenger_id, amount, method, note, created_at)
+          SELECT p.id, p.fare, 'other', 'Recorded before payment tracking', t.booked_at
+          FROM passengers p
+          JOIN trips t ON p.trip_id = t.id
+          WHERE p.fare > 0
+            AND NOT EXISTS (SELECT 1 FROM payments pay WHERE pay.passenger_id = p.id)
+        `);
+      },
+    },
+    {
+      version: 4,
+      name: 'seats',
+      up({ query, run }) {
+        // Seat map JSON per vehicle type — see seat-layout.js
+        if (!hasColumn(query, 'vehicles', 'layout')) {
+          run('ALTER TABLE vehicles ADD COLUMN layout TEXT');
+        }
+        if (!hasColumn(query, 'passengers', 'seat_no')) {
+          run('ALTER TABLE passengers ADD COLUMN seat_no INTEGER');
+        }
+
+        // Existing passengers take seats in booking order
+        run(`
+          UPDATE passengers SET seat_no = (
+            SELECT COUNT(*) FROM passengers p2
+            WHERE p2.trip_id = passengers.trip_id AND p2.id <= passengers.id
+          )
+          WHERE seat_no IS NULL
+        `);
+
+        run(`
+          CREATE UNIQUE INDEX IF NOT EXISTS idx_passengers_seat
+          ON passengers(trip_id, seat_no) WHERE seat_no IS NOT NULL
+        `);
+        for (const event of ['INSERT', 'UPDATE OF seat_no']) {
+          const name = event === 'INSERT' ? 'enforce_seat_range' : 'enforce_seat_range_update';
+          run(`
+            CREATE TRIGGER IF NOT EXISTS ${name}
+            BEFORE ${event} ON passengers
+            WHEN NEW.seat_no IS NOT NULL
+            BEGIN
+              SELECT RAISE(ABORT, 'Seat number is not on this vehicle.')
+              WHERE NEW.seat_no < 1 OR NEW.seat_no > (
+                SELECT v.capacity
+                FROM trips t
+                JOIN routes r ON t.route_id = r.id
+                JOIN vehicles v ON r.vehicle_id = v.id
+                WHERE t.id = NEW.trip_id
+              );
+            END
+          `);
+        }
+      },
+    },
+    {
+      version: 5,
+      name: 'trip_status',
+      up({ query, run }) {
+        // open → boarding → departed → arrived, or cancelled before departure
+        if (!hasColumn(query, 'trips', 'status')) {
+          run(`
+            ALTER TABLE trips ADD COLUMN status TEXT NOT NULL DEFAULT 'open'
+            CHECK(status IN ('open', 'boarding', 'departed', 'arrived', 'cancelled'))
+          `);
+          // Trips from earlier days have left; when exactly is unknown
+          run(`UPDATE trips SET status = 'departed' WHERE date(booked_at) < date('now','localtime')`);
+        }
+        for (const col of ['scheduled_at', 'departed_at', 'arrived_at', 'cancelled_at', 'cancel_reason']) {
+          if (!hasColumn(query, 'trips', col)) run(`ALTER TABLE trips ADD COLUMN ${col} TEXT`);
+        }
+
+        // Passengers can only be added or moved while the trip is still at the terminal
+        for (const event of ['INSERT', 'UPDATE OF trip_id, seat_no']) {
+          const name = event === 'INSERT' ? 'enforce_trip_open' : 'enforce_trip_open_update';
+          run(`
+            CREATE TRIGGER IF NOT EXISTS ${name}
+            BEFORE ${event} ON passengers
+            BEGIN
+              SELECT RAISE(ABORT, 'Trip is closed. Passengers can no longer be changed.')
+              WHERE (SELECT status FROM trips WHERE id = NEW.trip_id) NOT IN ('open', 'boarding');
+            END
+          `);
+        }
+      },
+    },
+    {
+      version: 6,
+      name: 'timetable',
+      up({ query, run }) {
+        // Recurring departures. weekdays is a bitmask on Date#getDay(): bit 0 = Sunday
+        run(`
+          CREATE TABLE IF NOT EXISTS schedules (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            route_id    INTEGER NOT NULL REFERENCES routes(id),
+            depart_time TEXT NOT NULL,
+            weekdays    INTEGER NOT NULL DEFAULT 127,
+            has_ac      INTEGER NOT NULL DEFAULT 0,
+            vehicle_no  TEXT NOT NULL,
+            driver_id   INTEGER NOT NULL REFERENCES drivers(id),
+            active      INTEGER NOT NULL DEFAULT 1,
+            created_at  TEXT DEFAULT (datetime('now','localtime'))
+          )
+        `);
+        if (!hasColumn(query, 'trips', 'schedule_id')) {
+          run('ALTER TABLE trips ADD COLUMN schedule_id INTEGER REFERENCES schedules(id)');
+        }
+        // One trip per schedule per departure time
+        run(`
+          CREATE UNIQUE INDEX IF NOT EXISTS idx_trips_schedule_run
+          ON trips(schedule_id, scheduled_at) WHERE schedule_id IS NOT NULL
+        `);
+      },
+    },
+    {
+      version: 7,
+      name: 'next_of_kin',
+      up({ query, run }) {
+        // Emergency contact and identity carried on every manifest
+        const cols = ['nok_name', 'nok_phone', 'id_type', 'id_number', 'address'];
+        for (const col of cols) {
+          if (!hasColumn(query, 'passengers', col)) run(`ALTER TABLE passengers ADD COLUMN ${col} TEXT`);
+        }
+        if (!hasColumn(query, 'company', 'require_nok')) {
+          run('ALTER TABLE company ADD COLUMN require_nok INTEGER NOT NULL DEFAULT 0');
+        }
+      },
+    },
+    {
+      version: 8,
+      name: 'traveller_directory',
+      up({ query, run }) {
+        // One profile per real person, keyed on the last ten digits of their phone
+        run(`
+          CREATE TABLE IF NOT EXISTS travellers (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            phone_key  TEXT NOT NULL UNIQUE,
+            name       TEXT NOT NULL,
+            phone      TEXT NOT NULL,
+            gender     TEXT,
+            nok_name   TEXT,
+            nok_phone  TEXT,
+            id_type    TEXT,
+            id_number  TEXT,
+            created_at TEXT DEFAULT (datetime('now','localtime')),
+            updated_at TEXT DEFAULT (datetime('now','localtime'))
+          )
+        `);
+        // Phone keys of profiles merged away, so the old number still finds the person
+        run(`
+          CREATE TABLE IF NOT EXISTS traveller_aliases (
+            phone_key    TEXT PRIMARY KEY,
+            traveller_id INTEGER NOT NULL REFERENCES travellers(id)
+          )
+        `);
+        if (!hasColumn(query, 'passengers', 'traveller_id')) {
+          run('ALTER TABLE passengers ADD COLUMN traveller_id INTEGER REFERENCES travellers(id)');
+        }
+        run('CREATE INDEX IF NOT EXISTS idx_passengers_traveller ON passengers(traveller_id)');
+
+        // Build profiles from existing bookings; the latest booking's details win
+        const rows = query(`
+          SELECT * FROM passengers WHERE traveller_id IS NULL ORDER BY id DESC
+        `);
+        const ids = {};
+        for (const p of rows) {
+          const key = phoneKey(p.phone);
+          if (!key) continue;
+          if (!ids[key]) {
+            ids[key] = query('SELECT id FROM travellers WHERE phone_key = ?', [key])[0]?.id
+              ?? run(`
+                INSERT INTO travellers (phone_key, name, phone, gender, nok_name, nok_phone, id_type, id_number)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+              `, [key, p.name, p.phone, p.gender, p.nok_name, p.nok_phone, p.id_type, p.id_number]).lastInsertRowid;
+          }
+          run('UPDATE passengers SET traveller_id = ? WHERE id = ?', [ids[key], p.id]);
+        }
+      },
+    },
+    {
+      version: 9,
+      name: 'driver_records',
+      up({ query, run }) {
+        // Licence and guarantor details; expiry is a plain YYYY-MM-DD date
+        for (const col of ['licence_no', 'licence_expiry', 'guarantor_name', 'guarantor_phone', 'photo', 'notes']) {
+          if (!hasColumn(query, 'drivers', col)) run(`ALTER TABLE drivers ADD COLUMN ${col} TEXT`);
+        }
+        if (!hasColumn(query, 'drivers', 'status')) {
+          run(`
+            ALTER TABLE drivers ADD COLUMN status TEXT NOT NULL DEFAULT 'active'
+            CHECK(status IN ('active', 'suspended'))
+          `);
+        }
+      },
+    },
+    {
+      version: 10,
+      name: 'fleet',
+      up({ query, run }) {
+        // Physical buses by plate; vehicles holds their types
+        run(`
+          CREATE TABLE IF NOT EXISTS fleet (
+            id                INTEGER PRIMARY KEY AUTOINCREMENT,
+            plate             TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            vehicle_id        INTEGER NOT NULL REFERENCES vehicles(id),
+            has_ac            INTEGER NOT NULL DEFAULT 0,
+            roadworthy_expiry TEXT,
+            insurance_expiry  TEXT,
+            status            TEXT NOT NULL DEFAULT 'active'
+                              CHECK(status IN ('active', 'out_of_service')),
+            status_note       TEXT,
+            created_at        TEXT DEFAULT (datetime('now','localtime'))
+          )
+        `);
+        for (const table of ['trips', 'schedules']) {
+          if (!hasColumn(query, table, 'fleet_id')) {
+            run(`ALTER TABLE ${table} ADD COLUMN fleet_id INTEGER REFERENCES fleet(id)`);
+          }
+        }
+
+        // Register every plate already in use, as the type it most recently ran as.
+        // A plate that ever ran with AC is taken to have it fitted.
+        const used = query(`
+          SELECT t.vehicle_no AS plate, r.vehicle_id, t.has_ac, COALESCE(t.scheduled_at, t.booked_at) AS at
+          FROM trips t JOIN routes r ON t.route_id = r.id
+          UNION ALL
+          SELECT s.vehicle_no, r.vehicle_id, s.has_ac, s.created_at
+          FROM schedules s JOIN routes r ON s.route_id = r.id
+          ORDER BY at DESC
+        `);
+        for (const u of used) {
+          const plate = String(u.plate ?? '').trim().toUpperCase();
+          if (!plate) continue;
+          const bus = query('SELECT id, has_ac FROM fleet WHERE plate = ?', [plate])[0];
+          if (!bus) {
+            run('INSERT INTO fleet (plate, vehicle_id, has_ac) VALUES (?, ?, ?)', [plate, u.vehicle_id, u.has_ac ? 1 : 0]);
+          } else if (u.has_ac && !bus.has_ac) {
+            run('UPDATE fleet SET has_ac = 1 WHERE id = ?', [bus.id]);
+          }
+        }
+        for (const table of ['trips', 'schedules']) {
+          run(`
+            UPDATE ${table} SET fleet_id = (SELECT f.id FROM fleet f WHERE f.plate = UPPER(TRIM(${table}.vehicle_no)))
+            WHERE fleet_id IS NULL
+          `);
+        }
+      },
+    },
+    {
+      version: 11,
+      name: 'closeouts',
+      up({ query, run }) {
+        // Clerk who took the money, by the name they set on their device
+        if (!hasColumn(query, 'payments', 'received_by')) {
+          run('ALTER TABLE payments ADD COLUMN received_by TEXT');
+        }
+
+        // One close-out per business day, with totals as they stood when counted
+        run(`
+          CREATE TABLE IF NOT EXISTS closeouts (
+            id            INTEGER PRIMARY KEY AUTOINCREMENT,
+            business_day  TEXT NOT NULL UNIQUE,
+            trips         INTEGER NOT NULL DEFAULT 0,
+            passengers    INTEGER NOT NULL DEFAULT 0,
+            taken         REAL NOT NULL DEFAULT 0,
+            refunded      REAL NOT NULL DEFAULT 0,
+            expected_cash REAL NOT NULL DEFAULT 0,
+            counted_cash  REAL NOT NULL DEFAULT 0,
+            variance      REAL NOT NULL DEFAULT 0,
+            note          TEXT,
+            closed_by     TEXT NOT NULL,
+            closed_at     TEXT DEFAULT (datetime('now','localtime'))
+          )
+        `);
+        // Takings per clerk and payment method; counted is set on cash lines only
+        run(`
+          CREATE TABLE IF NOT EXISTS closeout_lines (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            closeout_id INTEGER NOT NULL REFERENCES closeouts(id),
+            clerk       TEXT,
+            method      TEXT NOT NULL,
+            taken       REAL NOT NULL DEFAULT 0,
+            refunded    REAL NOT NULL DEFAULT 0,
+            counted     REAL
+          )
+        `);
+
+        // A closed day's trips, passengers and money are locked
+        const closed   = day => `EXISTS (SELECT 1 FROM closeouts WHERE business_day = ${day})`;
+        const tripDay  = t => `(SELECT date(COALESCE(scheduled_at, booked_at)) FROM trips WHERE id = ${t})`;
+        const TRIP_MSG = 'Trip is on a closed-out day and can no longer be changed.';
+        const PAY_MSG  = 'Takings for a closed-out day can no longer be changed.';
+        const triggers = {
+          lock_trip_insert: `
+            BEFORE INSERT ON trips
+            WHEN ${closed(`date(COALESCE(NEW.scheduled_at, NEW.booked_at, datetime('now','localtime')))`)}
+            BEGIN SELECT RAISE(ABORT, '${TRIP_MSG}'); END`,
+          lock_trip_update: `
+            BEFORE UPDATE OF booking_code, route_id, driver_id, fleet_id, vehicle_no, has_ac, fare, scheduled_at ON trips
+            WHEN ${closed(`date(COALESCE(OLD.scheduled_at, OLD.booked_at))`)}
+              OR ${closed(`date(COALESCE(NEW.scheduled_at, NEW.booked_at))`)}
+            BEGIN SELECT RAISE(ABORT, '${TRIP_MSG}'); END`,
+          lock_trip_cancel: `
+            BEFORE UPDATE OF status ON trips
+            WHEN NEW.status = 'cancelled' AND ${closed(`date(COALESCE(OLD.scheduled_at, OLD.booked_at))`)}
+            BEGIN SELECT RAISE(ABORT, '${TRIP_MSG}'); END`,
+          lock_trip_delete: `
+            BEFORE DELETE ON trips
+            WHEN ${closed(`date(COALESCE(OLD.scheduled_at, OLD.booked_at))`)}
+            BEGIN SELECT RAISE(ABORT, '${TRIP_MSG}'); END`,
+          lock_passenger_insert: `
+            BEFORE INSERT ON passengers
+            WHEN ${closed(tripDay('NEW.trip_id'))}
+            BEGIN SELECT RAISE(ABORT, '${TRIP_MSG}'); END`,
+          lock_passenger_update: `
+            BEFORE UPDATE OF trip_id, seat_no, name, phone, gender, fare, discount, discount_reason,
+                             nok_name, nok_phone, id_type, id_number, address ON passengers
+            WHEN ${closed(tripDay('OLD.trip_id'))} OR ${closed(tripDay('NEW.trip_id'))}
+            BEGIN SELECT RAISE(ABORT, '${TRIP_MSG}'); END`,
+          lock_passenger_delete: `
+            BEFORE DELETE ON passengers
+            WHEN ${closed(tripDay('OLD.trip_id'))}
+            BEGIN SELECT RAISE(ABORT, '${TRIP_MSG}'); END`,
+          lock_payment_insert: `
+            BEFORE INSERT ON payments
+            WHEN ${closed(`date(COALESCE(NEW.created_at, datetime('now','localtime')))`)}
+              OR ${closed(tripDay('(SELECT trip_id FROM passengers WHERE id = NEW.passenger_id)'))}
+            BEGIN SELECT RAISE(ABORT, '${PAY_MSG}'); END`,
+          lock_payment_update: `
+            BEFORE UPDATE ON payments
+            WHEN ${closed('date(OLD.created_at)')} OR ${closed('date(NEW.created_at)')}
+            BEGIN SELECT RAISE(ABORT, '${PAY_MSG}'); END`,
+          lock_payment_delete: `
+            BEFORE DELETE ON payments
+            WHEN ${closed('date(OLD.created_at)')}
+            BEGIN SELECT RAISE(ABORT, '${PAY_MSG}'); END`,
+        };
+        for (const [name, body] of Object.entries(triggers)) {
+          run(`CREATE TRIGGER IF NOT EXISTS ${name} ${body}`);
+        }
+      },
+    },
+    {
+      version: 12,
+      name: 'currency',
+      up({ query, run }) {
+        // Each country carries the currency and locale its pack suggests
+        for (const col of ['currency', 'locale']) {
+          if (!hasColumn(query, 'countries', col)) run(`ALTER TABLE countries ADD COLUMN ${col} TEXT`);
+        }
+        run(`UPDATE countries SET currency = 'NGN', locale = 'en-NG' WHERE code = 'NG' AND currency IS NULL`);
+
+        // The company's own choice drives every amount shown.
+        // Installs before this were all Nigerian, so they keep Naira.
+        if (!hasColumn(query, 'company', 'country_id')) {
+          run('ALTER TABLE company ADD COLUMN country_id INTEGER REFERENCES countries(id)');
+        }
+        if (!hasColumn(query, 'company', 'currency')) {
+          run(`ALTER TABLE company ADD COLUMN currency TEXT NOT NULL DEFAULT 'NGN'`);
+        }
+        if (!hasColumn(query, 'company', 'locale')) {
+          run(`ALTER TABLE company ADD COLUMN locale TEXT NOT NULL DEFAULT 'en-NG'`);
+        }
+        run(`
+          UPDATE company SET country_id = (SELECT id FROM countries WHERE code = 'NG')
+          WHERE country_id IS NULL AND currency = 'NGN'
+        `);
+      },
+    },
+    {
+      version: 13,
+      name: 'route_stops',
+      up({ query, run }) {
+        // Stops between a route's departure and destination, in travel order
+        run(`
+          CREATE TABLE IF NOT EXISTS route_stops (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            route_id   INTEGER NOT NULL REFERENCES routes(id),
+            place_id   INTEGER NOT NULL REFERENCES places(id),
+            stop_order INTEGER NOT NULL,  -- 1 = first stop after departure
+            UNIQUE(route_id, stop_order),
+            UNIQUE(route_id, place_id)
+          )
+        `);
+        // Fares for legs shorter than the whole route, which keeps routes.price_*
+        run(`
+          CREATE TABLE IF NOT EXISTS route_fares (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            route_id    INTEGER NOT NULL REFERENCES routes(id),
+            from_id     INTEGER NOT NULL REFERENCES places(id),
+            to_id       INTEGER NOT NULL REFERENCES places(id),
+            price_ac    REAL,
+            price_no_ac REAL,
+            UNIQUE(route_id, from_id, to_id)
+          )
+        `);
+
+        // Where each passenger gets on and off; everyone so far rode end to end
+        for (const col of ['board_id', 'alight_id']) {
+          if (!hasColumn(query, 'passengers', col)) {
+            run(`ALTER TABLE passengers ADD COLUMN ${col} INTEGER REFERENCES places(id)`);
+          }
+        }
+        for (const [col, end] of [['board_id', 'departure_id'], ['alight_id', 'destination_id']]) {
+          run(`
+            UPDATE passengers SET ${col} = (
+              SELECT r.${end} FROM trips t JOIN routes r ON t.route_id = r.id
+              WHERE t.id = passengers.trip_id
+            )
+            WHERE ${col} IS NULL
+          `);
+        }
+
+        run(`
+          CREATE VIEW IF NOT EXISTS passenger_legs AS
+          SELECT
+            p.id, p.trip_id, p.seat_no,
+            ${stopPos('p.board_id', 't.route_id')}  AS board_pos,
+            ${stopPos('p.alight_id', 't.route_id')} AS alight_pos
+          FROM passengers p
+          JOIN trips t ON p.trip_id = t.id
+        `);
+
+        // A seat is shared by passengers whose legs don't overlap, so seats
+        // and capacity are checked per leg instead of per trip
+        const route = '(SELECT route_id FROM trips WHERE id = NEW.trip_id)';
+        const board  = stopPos('NEW.board_id', route);
+        const alight = stopPos('NEW.alight_id', route);
+        run('DROP INDEX IF EXISTS idx_passengers_seat');
+        run('CREATE INDEX IF NOT EXISTS idx_passengers_trip_seat ON passengers(trip_id, seat_no)');
+        run('DROP TRIGGER IF EXISTS enforce_seat_capacity');
+
+        for (const event of ['INSERT', 'UPDATE OF trip_id, board_id, alight_id']) {
+          const name = event === 'INSERT' ? 'enforce_leg' : 'enforce_leg_update';
+          run(`
+            CREATE TRIGGER IF NOT EXISTS ${name}
+            BEFORE ${event} ON passengers
+            BEGIN
+              SELECT RAISE(ABORT, 'Boarding and drop-off points must be stops on this route, in travel order.')
+              WHERE ${board} IS NULL OR ${alight} IS NULL OR ${board} >= ${alight};
+            END
+          `);
+        }
+        for (const event of ['INSERT', 'UPDATE OF trip_id, seat_no, board_id, alight_id']) {
+          const name = event === 'INSERT' ? 'enforce_seat_free' : 'enforce_seat_free_update';
+          run(`
+            CREATE TRIGGER IF NOT EXISTS ${name}
+            BEFORE ${event} ON passengers
+            WHEN NEW.seat_no IS NOT NULL
+            BEGIN
+              SELECT RAISE(ABORT, 'Seat is already taken on part of this journey.')
+              WHERE EXISTS (
+                SELECT 1 FROM passenger_legs l
+                WHERE l.trip_id = NEW.trip_id AND l.seat_no = NEW.seat_no AND l.id IS NOT NEW.id
+                  AND l.board_pos < ${alight} AND ${board} < l.alight_pos
+              );
+            END
+          `);
+        }
+        // Full when, at any stop along the new leg, every seat is occupied.
+        // The load only rises where someone boards, so those are the stops to check.
+        run(`
+          CREATE TRIGGER IF NOT EXISTS enforce_seat_capacity
+          BEFORE INSERT ON passengers
+          BEGIN
+            SELECT RAISE(ABORT, 'Vehicle is fully booked. No seats remaining.')
+            WHERE (
+              SELECT v.capacity
+              FROM trips t
+              JOIN routes r ON t.route_id = r.id
+              JOIN vehicles v ON r.vehicle_id = v.id
+              WHERE t.id = NEW.trip_id
+            ) <= (
+              SELECT MAX((
+                SELECT COUNT(*) FROM passenger_legs l
+                WHERE l.trip_id = NEW.trip_id AND l.board_pos <= pt.pos AND l.alight_pos > pt.pos
+              ))
+              FROM (
+                SELECT ${board} AS pos
+                UNION
+                SELECT board_pos FROM passenger_legs
+                WHERE trip_id = NEW.trip_id AND board_pos > ${board} AND board_pos < ${alight}
+              ) pt
+            );
+          END
+        `);
+      },
+    },
+    {
+      version: 14,
+      name: 'passenger_status',
+      up({ query, run }) {
+        // A cancelled passenger keeps their record and payments but gives up the seat
+        if (!hasColumn(query, 'passengers', 'status')) {
+          run(`
+            ALTER TABLE passengers ADD COLUMN status TEXT NOT NULL DEFAULT 'booked'
+            CHECK(status IN ('booked', 'cancelled'))
+          `);
+        }
+        for (const col of ['cancelled_at', 'cancel_reason']) {
+          if (!hasColumn(query, 'passengers', col)) run(`ALTER TABLE passengers ADD COLUMN ${col} TEXT`);
+        }
+
+        // A transfer moves the passenger's own row; this keeps where they came from
+        run(`
+          CREATE TABLE IF NOT EXISTS passenger_transfers (
+            id             INTEGER PRIMARY KEY AUTOINCREMENT,
+            passenger_id   INTEGER NOT NULL REFERENCES passengers(id),
+            from_trip_id   INTEGER NOT NULL REFERENCES trips(id),
+            to_trip_id     INTEGER NOT NULL REFERENCES trips(id),
+            from_seat      INTEGER,
+            to_seat        INTEGER,
+            from_fare      REAL,
+            to_fare        REAL,
+            reason         TEXT,
+            transferred_by TEXT,
+            transferred_at TEXT DEFAULT (datetime('now','localtime'))
+          )
+        `);
+
+        // People waiting for a seat on a full trip, served in id order
+        run(`
+          CREATE TABLE IF NOT EXISTS waitlist (
+            id           INTEGER PRIMARY KEY AUTOINCREMENT,
+            trip_id      INTEGER NOT NULL REFERENCES trips(id),
+            name         TEXT NOT NULL,
+            phone        TEXT NOT NULL,
+            gender       TEXT,
+            board_id     INTEGER REFERENCES places(id),
+            alight_id    INTEGER REFERENCES places(id),
+            note         TEXT,
+            status       TEXT NOT NULL DEFAULT 'waiting'
+                         CHECK(status IN ('waiting', 'offered', 'booked', 'dropped')),
+            passenger_id INTEGER REFERENCES passengers(id),
+            created_at   TEXT DEFAULT (datetime('now','localtime')),
+            offered_at   TEXT,
+            closed_at    TEXT
+          )
+        `);
+        run('CREATE INDEX IF NOT EXISTS idx_waitlist_trip ON waitlist(trip_id, status)');
+
+        // Only booked passengers hold a seat
+        run('DROP VIEW IF EXISTS passenger_legs');
+        run(`
+          CREATE VIEW passenger_legs AS
+          SELECT
+            p.id, p.trip_id, p.seat_no,
+            ${stopPos('p.board_id', 't.route_id')}  AS board_pos,
+            ${stopPos('p.alight_id', 't.route_id')} AS alight_pos
+          FROM passengers p
+          JOIN trips t ON p.trip_id = t.id
+          WHERE p.status = 'booked'
+        `);
+
+        // Capacity is checked again when a transfer moves a passenger onto a trip
+        const route  = '(SELECT route_id FROM trips WHERE id = NEW.trip_id)';
+        const board  = stopPos('NEW.board_id', route);
+        const alight = stopPos('NEW.alight_id', route);
+        run('DROP TRIGGER IF EXISTS enforce_seat_capacity');
+        for (const event of ['INSERT', 'UPDATE OF trip_id, board_id, alight_id']) {
+          const name = event === 'INSERT' ? 'enforce_seat_capacity' : 'enforce_seat_capacity_update';
+          run(`
+            CREATE TRIGGER IF NOT EXISTS ${name}
+            BEFORE ${event} ON passengers
+            WHEN NEW.status = 'booked'
+            BEGIN
+              SELECT RAISE(ABORT, 'Vehicle is fully booked. No seats remaining.')
+              WHERE (
+                SELECT v.capacity
+                FROM trips t
+                JOIN routes r ON t.route_id = r.id
+                JOIN vehicles v ON r.vehicle_id = v.id
+                WHERE t.id = NEW.trip_id
+              ) <= (
+                SELECT MAX((
+                  SELECT COUNT(*) FROM passenger_legs l
+                  WHERE l.trip_id = NEW.trip_id AND l.id IS NOT NEW.id
+                    AND l.board_pos <= pt.pos AND l.alight_pos > pt.pos
+                ))
+                FROM (
+                  SELECT ${board} AS pos
+                  UNION
+                  SELECT board_pos FROM passenger_legs
+                  WHERE trip_id = NEW.trip_id AND board_pos > ${board} AND board_pos < ${alight}
+                ) pt
+              );
+            END
+          `);
+        }
+
+        // Cancelling is locked on a closed-out day like any other passenger change
+        run(`
+          CREATE TRIGGER IF NOT EXISTS lock_passenger_status
+          BEFORE UPDATE OF status, cancel_reason ON passengers
+          WHEN EXISTS (
+            SELECT 1 FROM closeouts
+            WHERE business_day = (SELECT date(COALESCE(scheduled_at, booked_at)) FROM trips WHERE id = OLD.trip_id)
+          )
+          BEGIN SELECT RAISE(ABORT, 'Trip is on a closed-out day and can no longer be changed.'); END
+        `);
+      },
+    },
+    {
+      version: 15,
+      name: 'trash',
+      up({ query, run }) {
+        // Deleting moves a trip or passenger to the trash; it is purged
+        // for good once it has been there longer than company.trash_days
+        for (const table of ['trips', 'passengers']) {
+          for (const col of ['deleted_at', 'deleted_by', 'delete_reason']) {
+            if (!hasColumn(query, table, col)) run(`ALTER TABLE ${table} ADD COLUMN ${col} TEXT`);
+          }
+        }
+        if (!hasColumn(query, 'company', 'trash_days')) {
+          run('ALTER TABLE company ADD COLUMN trash_days INTEGER NOT NULL DEFAULT 30');
+        }
+
+        // Passengers in the trash, or on a trip in the trash, hold no seat
+        run('DROP VIEW IF EXISTS passenger_legs');
+        run(`
+          CREATE VIEW passenger_legs AS
+          SELECT
+            p.id, p.trip_id, p.seat_no,
+            ${stopPos('p.board_id', 't.route_id')}  AS board_pos,
+            ${stopPos('p.alight_id', 't.route_id')} AS alight_pos
+          FROM passengers p
+          JOIN trips t ON p.trip_id = t.id
+          WHERE p.status = 'booked' AND p.deleted_at IS NULL AND t.deleted_at IS NULL
+        `);
+
+        // Restoring a passenger from the trash takes their seat back, so it
+        // is checked like any other move
+        const route  = '(SELECT route_id FROM trips WHERE id = NEW.trip_id)';
+        const board  = stopPos('NEW.board_id', route);
+        const alight = stopPos('NEW.alight_id', route);
+        run('DROP TRIGGER IF EXISTS enforce_seat_free_update');
+        run(`
+          CREATE TRIGGER enforce_seat_free_update
+          BEFORE UPDATE OF trip_id, seat_no, board_id, alight_id, deleted_at ON passengers
+          WHEN NEW.seat_no IS NOT NULL AND NEW.status = 'booked' AND NEW.deleted_at IS NULL
+          BEGIN
+            SELECT RAISE(ABORT, 'Seat is already taken on part of this journey.')
+            WHERE EXISTS (
+              SELECT 1 FROM passenger_legs l
+              WHERE l.trip_id = NEW.trip_id AND l.seat_no = NEW.seat_no AND l.id IS NOT NEW.id
+                AND l.board_pos < ${alight} AND ${board} < l.alight_pos
+            );
+          END
+        `);
+        run('DROP TRIGGER IF EXISTS enforce_seat_capacity_update');
+        run(`
+          CREATE TRIGGER enforce_seat_capacity_update
+          BEFORE UPDATE OF trip_id, board_id, alight_id, deleted_at ON passengers
+          WHEN NEW.status = 'booked' AND NEW.deleted_at IS NULL
+          BEGIN
+            SELECT RAISE(ABORT, 'Vehicle is fully booked. No seats remaining.')
+            WHERE (
+              SELECT v.capacity
+              FROM trips t
+              JOIN routes r ON t.route_id = r.id
+              JOIN vehicles v ON r.vehicle_id = v.id
+              WHERE t.id = NEW.trip_id
+            ) <= (
+              SELECT MAX((
+                SELECT COUNT(*) FROM passenger_legs l
+                WHERE l.trip_id = NEW.trip_id AND l.id IS NOT NEW.id
+                  AND l.board_pos <= pt.pos AND l.alight_pos > pt.pos
+              ))
+              FROM (
+                SELECT ${board} AS pos
+                UNION
+                SELECT board_pos FROM passenger_legs
+                WHERE trip_id = NEW.trip_id AND board_pos > ${board} AND board_pos < ${alight}
+              ) pt
+            );
+          END
+        `);
+
+        // A closed-out day's records can't be trashed or restored, as they couldn't be deleted
+        const closed   = day => `EXISTS (SELECT 1 FROM closeouts WHERE business_day = ${day})`;
+        const tripDay  = t => `(SELECT date(COALESCE(scheduled_at, booked_at)) FROM trips WHERE id = ${t})`;
+        const TRIP_MSG = 'Trip is on a closed-out day and can no longer be changed.';
+        run(`
+          CREATE TRIGGER IF NOT EXISTS lock_trip_trash
+          BEFORE UPDATE OF deleted_at ON trips
+          WHEN ${closed('date(COALESCE(OLD.scheduled_at, OLD.booked_at))')}
+          BEGIN SELECT RAISE(ABORT, '${TRIP_MSG}'); END
+        `);
+        run(`
+          CREATE TRIGGER IF NOT EXISTS lock_passenger_trash
+          BEFORE UPDATE OF deleted_at ON passengers
+          WHEN ${closed(tripDay('OLD.trip_id'))}
+          BEGIN SELECT RAISE(ABORT, '${TRIP_MSG}'); END
+        `);
+      },
+    },
+    {
+      version: 16,
+      name: 'operators',
+      up(tx) {
+        const { query, run } = tx;
+        // People who sign in to the app. A PIN is stored only as a salted
+        // SHA-256 hash; pin_changed_at shows PIN changes in the audit log.
+        run(`
+          CREATE TABLE IF NOT EXISTS operators (
+            id             INTEGER PRIMARY KEY AUTOINCREMENT,
+            name           TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            role           TEXT NOT NULL CHECK(role IN ('clerk', 'supervisor', 'manager')),
+            pin_salt       TEXT NOT NULL,
+            pin_hash       TEXT NOT NULL,
+            pin_changed_at TEXT DEFAULT (datetime('now','localtime')),
+            active         INTEGER NOT NULL DEFAULT 1,
+            last_login_at  TEXT,
+            created_at     TEXT DEFAULT (datetime('now','localtime'))
+          )
+        `);
+
+        // One row per row written. Triggers fill in what changed; DB.run and
+        // DB.transaction stamp who was signed in when they commit.
+        run(`
+          CREATE TABLE IF NOT EXISTS audit_log (
+            id            INTEGER PRIMARY KEY AUTOINCREMENT,
+            at            TEXT NOT NULL DEFAULT (datetime('now','localtime')),
+            operator_id   INTEGER REFERENCES operators(id) ON DELETE SET NULL,
+            operator_name TEXT,
+            action        TEXT NOT NULL CHECK(action IN ('insert', 'update', 'delete')),
+            table_name    TEXT NOT NULL,
+            row_id        INTEGER,
+            before        TEXT,
+            after         TEXT
+          )
+        `);
+        run('CREATE INDEX IF NOT EXISTS idx_audit_at    ON audit_log(at)');
+        run('CREATE INDEX IF NOT EXISTS idx_audit_table ON audit_log(table_name, row_id)');
+
+        const tables = query(`
+          SELECT name FROM sqlite_master
+          WHERE type = 'table' AND name NOT IN ('audit_log', 'sqlite_sequence')
+        `).map(t => t.name);
+        for (const table of tables) auditTable(tx, table);
+      },
+    },
+    {
+      version: 17,
+      name: 'boarding',
+      up(tx) {
+        const { query, run } = tx;
+        // When each passenger was checked onto the bus, and who never was:
+        // no_show is set for everyone not boarded when a boarding trip departs
+        if (!hasColumn(query, 'passengers', 'boarded_at')) {
+          run('ALTER TABLE passengers ADD COLUMN boarded_at TEXT');
+        }
+        if (!hasColumn(query, 'passengers', 'no_show')) {
+          run('ALTER TABLE passengers ADD COLUMN no_show INTEGER NOT NULL DEFAULT 0');
+        }
+        auditTable(tx, 'passengers');
+      },
+    },
+    {
+      version: 18,
+      name: 'booking_codes',
+      up(tx) {
+        const { query, run } = tx;
+        // Each terminal sets its own prefix so codes from two terminals never clash
+        if (!hasColumn(query, 'company', 'booking_prefix')) {
+          run(`ALTER TABLE company ADD COLUMN booking_prefix TEXT NOT NULL DEFAULT 'TRP'`);
+        }
+        auditTable(tx, 'company');
+
+        // Last number handed out per prefix and day. Numbers are reserved
+        // when a code is generated, so a code shown but never booked is
+        // not given out again.
+        run(`
+          CREATE TABLE IF NOT EXISTS booking_sequences (
+            prefix   TEXT NOT NULL,
+            day      TEXT NOT NULL,
+            last_seq INTEGER NOT NULL,
+            PRIMARY KEY (prefix, day)
+          )
+        `);
+        auditTable(tx, 'booking_sequences');
+      },
+    },
+    {
+      version: 19,
+      name: 'sync_ids',
+      up(tx) {
+        const { query, run } = tx;
+        // Ids are per terminal, so rows that travel between terminals also
+        // carry a random uid that stays the same wherever they are merged.
+        // It is set by trigger, so nothing that inserts these rows changes.
+        const newUid = 'lower(hex(randomblob(16)))';
+
+        // The payment lock covered every column; it only needs the money
+        run('DROP TRIGGER IF EXISTS lock_payment_update');
+        run(`
+          CREATE TRIGGER lock_payment_update
+          BEFORE UPDATE OF passenger_id, kind, amount, method, note, created_at, received_by ON payments
+          WHEN EXISTS (SELECT 1 FROM closeouts WHERE business_day = date(OLD.created_at))
+            OR EXISTS (SELECT 1 FROM closeouts WHERE business_day = date(NEW.created_at))
+          BEGIN SELECT RAISE(ABORT, 'Takings for a closed-out day can no longer be changed.'); END
+        `);
+
+        for (const table of ['places', 'drivers', 'trips', 'passengers', 'payments']) {
+          if (!hasColumn(query, table, 'uid')) {
+            run(`ALTER TABLE ${table} ADD COLUMN uid TEXT`);
+          }
+          run(`UPDATE ${table} SET uid = ${newUid} WHERE uid IS NULL`);
+          run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_uid ON ${table}(uid)`);
+          run(`
+            CREATE TRIGGER IF NOT EXISTS uid_${table} AFTER INSERT ON ${table}
+            WHEN NEW.uid IS NULL
+            BEGIN UPDATE ${table} SET uid = ${newUid} WHERE rowid = NEW.rowid; END
+          `);
+          auditTable(tx, table);
+        }
+      },
+    },
+  ];
+
+  const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return { MIGRATIONS, LATEST, hasTable, hasColumn };
+
+})();
@@ -0,0 +1,239 @@
+/**
+ * db-operators.js
+ * Data access layer — Operators
+ * Handles: operator accounts and roles, PIN sign-in with salted hashes,
+ *          who is signed in on this tab, what each role may do
+ */
+
+const DBOperators = (() => {
+
+  // In rising order: each role may do everything the ones before it can
+  const ROLES = ['clerk', 'supervisor', 'manager'];
+
+  // Lowest role allowed each action, and how the action reads in an error
+  const PERMISSIONS = {
+    book:      { role: 'clerk',      label: 'book passengers and take payments' },
+    refund:    { role: 'supervisor', label: 'give refunds' },
+    trash:     { role: 'supervisor', label: 'delete trips and passengers' },
+    closeDay:  { role: 'supervisor', label: 'close out a day' },
+    fleet:     { role: 'supervisor', label: 'change buses, drivers and schedules' },
+    audit:     { role: 'supervisor', label: 'view the audit log' },
+    config:    { role: 'manager',    label: 'change routes, fares and company settings' },
+    backup:    { role: 'manager',    label: 'back up or download data' },
+    restore:   { role: 'manager',    label: 'restore data' },
+    reset:     { role: 'manager',    label: 'reset all data' },
+    operators: { role: 'manager',    label: 'manage operators' },
+  };
+
+  const SESSION_KEY = 'manifest-operator';        // signed-in operator, per tab
+  const LOCK_KEY    = 'manifest-signin-lock';     // wrong PIN count and lockout
+  const MAX_TRIES   = 5;
+  const LOCK_MS     = 60e3;
+
+  // ── Helpers ────────────────────────────────────────────────────────────────
+
+  const _hex = bytes => [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+  async function _hashPin(pin, salt) {
+    const data = new TextEncoder().encode(`${salt}:${pin}`);
+    return _hex(await crypto.subtle.digest('SHA-256', data));
+  }
+
+  function _checkPin(pin) {
+    if (!/^\d{4,8}$/.test(String(pin ?? ''))) throw new Error('PIN must be 4 to 8 digits.');
+    return String(pin);
+  }
+
+  function _checkRole(role) {
+    if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}.`);
+    return role;
+  }
+
+  // Operators as shown to the app: never the PIN hash or salt
+  const FIELDS = 'id, name, role, active, pin_changed_at, last_login_at, created_at';
+
+  // ── Queries ────────────────────────────────────────────────────────────────
+
+  function getOperators({ activeOnly = false } = {}) {
+    return DB.query(`
+      SELECT ${FIELDS} FROM operators
+      ${activeOnly ? 'WHERE active = 1' : ''}
+      ORDER BY active DESC, name COLLATE NOCASE
+    `);
+  }
+
+  function getOperator(id) {
+    return DB.query(`SELECT ${FIELDS} FROM operators WHERE id = ?`, [id])[0] || null;
+  }
+
+  function hasOperators() {
+    return DB.query('SELECT 1 FROM operators LIMIT 1').length > 0;
+  }
+
+  function _activeManagers(exceptId = null) {
+    return DB.query(`
+      SELECT COUNT(*) AS n FROM operators WHERE role = 'manager' AND active = 1 AND id IS NOT ?
+    `, [exceptId])[0].n;
+  }
+
+  // ── Accounts ───────────────────────────────────────────────────────────────
+
+  /**
+   * Add an operator. The very first one must be a manager, and can be
+   * added before anyone has signed in.
+   * @param {{ name: string, role: string, pin: string }} data
+   */
+  async function addOperator({ name, role, pin }) {
+    const first = !hasOperators();
+    if (!first) assert('operators');
+    const n = String(name ?? '').trim();
+    if (!n) throw new Error('Enter the operator name.');
+    _checkRole(role);
+    if (first && role !== 'manager') throw new Error('The first operator must be a manager.');
+    _checkPin(pin);
+    if (DB.query('SELECT 1 FROM operators WHERE name = ? COLLATE NOCASE', [n]).length) {
+      throw new Error(`There is already an operator called ${n}.`);
+    }
+
+    const salt   = _hex(crypto.getRandomValues(new Uint8Array(16)));
+    const result = await DB.run(`
+      INSERT INTO operators (name, role, pin_salt, pin_hash) VALUES (?, ?, ?, ?)
+    `, [n, role, salt, await _hashPin(pin, salt)]);
+    return getOperator(result.lastInsertRowid);
+  }
+
+  /**
+   * Change an operator's name, role or whether they can sign in. There is
+   * always at least one active manager.
+   */
+  async function updateOperator(id, { name, role, active }) {
+    assert('operators');
+    const op = getOperator(id);
+    if (!op) throw new Error('Operator not found.');
+    const n = name === undefined ? op.name : String(name).trim();
+    const r = role === undefined ? op.role : _checkRole(role);
+    const a = active === undefined ? op.active : (active ? 1 : 0);
+    if (!n) throw new Error('Enter the operator name.');
+    if (DB.query('SELECT 1 FROM operators WHERE name = ? COLLATE NOCASE AND id != ?', [n, id]).length) {
+      throw new Error(`There is already an operator called ${n}.`);
+    }
+    if (op.role === 'manager' && op.active && (r !== 'manager' || !a) && !_activeManagers(id)) {
+      throw new Error('Keep at least one active manager.');
+    }
+    await DB.run('UPDATE operators SET name = ?, role = ?, active = ? WHERE id = ?', [n, r, a, id]);
+    const updated = getOperator(id);
+    if (DB.getOperator()?.id === id) {
+      if (updated.active) _remember(updated);
+      else signOut();
+    }
+    return updated;
+  }
+
+  /**
+   * Set a new PIN. Operators may change their own; a manager may change anyone's.
+   */
+  async function setPin(id, pin) {
+    if (current()?.id !== id) assert('operators');
+    if (!getOperator(id)) throw new Error('Operator not found.');
+    _checkPin(pin);
+    const salt = _hex(crypto.getRandomValues(new Uint8Array(16)));
+    await DB.run(`
+      UPDATE operators SET pin_salt = ?, pin_hash = ?, pin_changed_at = datetime('now','localtime')
+      WHERE id = ?
+    `, [salt, await _hashPin(pin, salt), id]);
+  }
+
+  // ── Sign in ────────────────────────────────────────────────────────────────
+
+  function _lock() {
+    return JSON.parse(localStorage.getItem(LOCK_KEY) || '{"tries":0,"until":0}');
+  }
+
+  /**
+   * Check an operator's PIN and sign them in on this tab. After MAX_TRIES
+   * wrong PINs in a row, sign-in is refused for a minute.
+   */
+  async function signIn(id, pin) {
+    const lock = _lock();
+    const wait = Math.ceil((lock.until - Date.now()) / 1000);
+    if (wait > 0) throw new Error(`Too many wrong PINs. Try again in ${wait}s.`);
+
+    const op = DB.query('SELECT * FROM operators WHERE id = ? AND active = 1', [id])[0];
+    if (!op) throw new Error('Pick who is signing in.');
+    if (!pin || await _hashPin(pin, op.pin_salt) !== op.pin_hash) {
+      const tries = lock.tries + 1;
+      localStorage.setItem(LOCK_KEY, JSON.stringify({
+        tries: tries >= MAX_TRIES ? 0 : tries,
+        until: tries >= MAX_TRIES ? Date.now() + LOCK_MS : 0,
+      }));
+      throw new Error('Wrong PIN.');
+    }
+
+    localStorage.removeItem(LOCK_KEY);
+    _remember(op);
+    await DB.run(`UPDATE operators SET last_login_at = datetime('now','localtime') WHERE id = ?`, [op.id]);
+    return getOperator(op.id);
+  }
+
+  function _remember(op) {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify({ id: op.id, name: op.name }));
+    DB.setOperator(op);
+  }
+
+  function signOut() {
+    sessionStorage.removeItem(SESSION_KEY);
+    DB.setOperator(null);
+  }
+
+  /**
+   * Pick up the operator signed in on this tab when a page loads. Someone
+   * deactivated or renamed since, or missing after a restore, is signed out.
+   * @returns {Object|null}
+   */
+  function resume() {
+    const saved = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+    const op    = saved ? getOperator(saved.id) : null;
+    if (!op?.active || op.name !== saved.name) {
+      signOut();
+      return null;
+    }
+    DB.setOperator(op);
+    return op;
+  }
+
+  // ── Permissions ────────────────────────────────────────────────────────────
+
+  function current() {
+    const op = DB.getOperator();
+    return op ? getOperator(op.id) : null;
+  }
+
+  function can(permission, operator = current()) {
+    const rule = PERMISSIONS[permission];
+    if (!rule) throw new Error(`Unknown permission ${permission}.`);
+    return !!operator && ROLES.indexOf(operator.role) >= ROLES.indexOf(rule.role);
+  }
+
+  /**
+   * Throw unless the signed-in operator may do this
+   * @param {string} permission  key of PERMISSIONS
+   */
+  function assert(permission) {
+    if (can(permission)) return;
+    const rule = PERMISSIONS[permission];
+    if (!current()) throw new Error('Sign in first.');
+    const roles = ROLES.slice(ROLES.indexOf(rule.role));
+    throw new Error(`Only ${roles.length > 1 ? `a ${roles.join(' or ')}` : `a ${roles[0]}`} can ${rule.label}.`);
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    ROLES, PERMISSIONS,
+    getOperators, getOperator, hasOperators,
+    addOperator, updateOperator, setPin,
+    signIn, signOut, resume, current,
+    can, assert,
+  };
+
+})();
@@ -0,0 +1,138 @@
+/**
+ * db-reports.js
+ * Data access layer — Reports
+ * Handles: revenue, trips, passengers and load factor over a date range,
+ *          grouped by route, driver, vehicle type, bus, day, week or month,
+ *          compared against the previous period
+ */
+
+const DBReports = (() => {
+
+  // A trip counts on its scheduled day, or the day it was booked if unscheduled
+  const TRIP_DAY = `date(COALESCE(t.scheduled_at, t.booked_at))`;
+
+  // Monday of the trip's week
+  const TRIP_WEEK = `date(${TRIP_DAY}, '-' || ((CAST(strftime('%w', ${TRIP_DAY}) AS INTEGER) + 6) % 7) || ' days')`;
+
+  const PLATE = `COALESCE(f.plate, t.vehicle_no)`;
+
+  // Group key and label for each grouping
+  const GROUPS = {
+    route:   { label: 'Route',        key: `r.id`,  name: `dep.name || ' → ' || dest.name` },
+    driver:  { label: 'Driver',       key: `d.id`,  name: `d.name` },
+    vehicle: { label: 'Vehicle type', key: `v.id`,  name: `v.type` },
+    bus:     { label: 'Bus',          key: PLATE,   name: PLATE },
+    day:     { label: 'Day',          key: TRIP_DAY,  name: TRIP_DAY },
+    week:    { label: 'Week',         key: TRIP_WEEK, name: TRIP_WEEK },
+    month:   { label: 'Month',        key: `strftime('%Y-%m', ${TRIP_DAY})`, name: `strftime('%Y-%m', ${TRIP_DAY})` },
+  };
+
+  // Groupings over time are listed in date order; the rest by revenue
+  const TIME_GROUPS = ['day', 'week', 'month'];
+
+  // ── Dates ──────────────────────────────────────────────────────────────────
+
+  function _parse(date) {
+    const [y, m, d] = date.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  /**
+   * The period of the same length ending the day before `from`
+   * @returns {{ from: string, to: string }}
+   */
+  function previousPeriod(from, to) {
+    const start = _parse(from);
+    const days  = Math.round((_parse(to) - start) / 86400000) + 1;
+    return {
+      from: DB.localDate(new Date(start.getFullYear(), start.getMonth(), start.getDate() - days)),
+      to:   DB.localDate(new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1)),
+    };
+  }
+
+  // ── Report ─────────────────────────────────────────────────────────────────
+
+  /**
+   * One row per group for trips between two dates (YYYY-MM-DD, inclusive).
+   * Cancelled trips are left out. load_factor is passengers ÷ seats offered.
+   * expected: fares less discounts and refunds; collected: payments less refunds
+   */
+  function getReport({ from, to, groupBy = 'route' }) {
+    const group = GROUPS[groupBy];
+    if (!group) throw new Error(`Unknown grouping: ${groupBy}`);
+    if (!from || !to) throw new Error('Pick a start and end date.');
+    if (from > to) throw new Error('The start date is after the end date.');
+
+    const rows = DB.query(`
+      SELECT
+        ${group.key}  AS key,
+        ${group.name} AS label,
+        COUNT(t.id)                        AS trips,
+        COALESCE(SUM(tt.passengers), 0)    AS passengers,
+        SUM(v.capacity)                    AS seats,
+        COALESCE(SUM(tt.expected), 0)      AS expected,
+        COALESCE(SUM(tt.collected), 0)     AS collected
+      FROM trips t
+      JOIN routes   r    ON t.route_id       = r.id
+      JOIN places   dep  ON r.departure_id   = dep.id
+      JOIN places   dest ON r.destination_id = dest.id
+      JOIN vehicles v    ON r.vehicle_id     = v.id
+      JOIN drivers  d    ON t.driver_id      = d.id
+      LEFT JOIN fleet f  ON t.fleet_id       = f.id
+      LEFT JOIN (${DBHistory.TRIP_TOTALS}) tt ON tt.trip_id = t.id
+      WHERE t.status != 'cancelled' AND t.deleted_at IS NULL
+        AND ${TRIP_DAY} BETWEEN ? AND ?
+      GROUP BY ${group.key}
+      ORDER BY ${TIME_GROUPS.includes(groupBy) ? 'key' : 'expected DESC, label'}
+    `, [from, to]);
+
+    return rows.map(r => ({ ...r, load_factor: r.seats ? r.passengers / r.seats : 0 }));
+  }
+
+  function _totals(rows) {
+    const sum = col => rows.reduce((s, r) => s + (r[col] || 0), 0);
+    const t = {
+      trips:      sum('trips'),
+      passengers: sum('passengers'),
+      seats:      sum('seats'),
+      expected:   sum('expected'),
+      collected:  sum('collected'),
+    };
+    t.load_factor = t.seats ? t.passengers / t.seats : 0;
+    return t;
+  }
+
+  /**
+   * Fractional change from `before` to `now`, or null when there was nothing before
+   */
+  function change(now, before) {
+    return before ? (now - before) / before : null;
+  }
+
+  /**
+   * The report for a period alongside the one before it.
+   * Each row carries `previous` (the same group last period, if any);
+   * time groupings have no matching rows, so only the totals compare.
+   * @returns {{ period, previousPeriod, rows, totals, previousTotals }}
+   */
+  function getComparison({ from, to, groupBy = 'route' }) {
+    const prev     = previousPeriod(from, to);
+    const rows     = getReport({ from, to, groupBy });
+    const before   = getReport({ ...prev, groupBy });
+    const byKey    = Object.fromEntries(before.map(r => [r.key, r]));
+    const matching = !TIME_GROUPS.includes(groupBy);
+
+    return {
+      period:         { from, to },
+      previousPeriod: prev,
+      rows:           rows.map(r => ({ ...r, previous: matching ? byKey[r.key] || null : null })),
+      totals:         _totals(rows),
+      previousTotals: _totals(before),
+    };
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return { GROUPS, TIME_GROUPS, previousPeriod, getReport, getComparison, change };
+
+})();
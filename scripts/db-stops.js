@@ -0,0 +1,207 @@
+/**
+ * db-stops.js
+ * Data access layer — Route stops
+ * Handles: stops along a route, fares between stops, keeping the
+ *          reverse route in step
+ */
+
+const DBStops = (() => {
+
+  // ── Stops ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Every point along a route in travel order, its departure and
+   * destination included. position is 0 at the departure.
+   * @returns {{ place_id: number, name: string, position: number }[]}
+   */
+  function getStops(routeId) {
+    const route = DB.query(`
+      SELECT r.departure_id, dep.name AS departure, r.destination_id, dest.name AS destination
+      FROM routes r
+      JOIN places dep  ON r.departure_id   = dep.id
+      JOIN places dest ON r.destination_id = dest.id
+      WHERE r.id = ?
+    `, [routeId])[0];
+    if (!route) return [];
+    const stops = DB.query(`
+      SELECT s.place_id, p.name, s.stop_order AS position
+      FROM route_stops s
+      JOIN places p ON s.place_id = p.id
+      WHERE s.route_id = ?
+      ORDER BY s.stop_order
+    `, [routeId]);
+    return [
+      { place_id: route.departure_id, name: route.departure, position: 0 },
+      ...stops,
+      { place_id: route.destination_id, name: route.destination, position: stops.length + 1 },
+    ];
+  }
+
+  // The same vehicle type running the other way
+  function _reverseRouteId(query, routeId) {
+    return query(`
+      SELECT rev.id FROM routes r
+      JOIN routes rev
+        ON rev.departure_id = r.destination_id
+       AND rev.destination_id = r.departure_id
+       AND rev.vehicle_id = r.vehicle_id
+      WHERE r.id = ?
+    `, [routeId])[0]?.id ?? null;
+  }
+
+  function _setStops({ query, run }, routeId, placeIds) {
+    run('DELETE FROM route_stops WHERE route_id = ?', [routeId]);
+    placeIds.forEach((placeId, i) => run(
+      'INSERT INTO route_stops (route_id, place_id, stop_order) VALUES (?, ?, ?)',
+      [routeId, placeId, i + 1]
+    ));
+    // Fares for legs that no longer run forwards along the route are dropped
+    const pos = new Map(getStops(routeId).map(s => [s.place_id, s.position]));
+    for (const f of query('SELECT id, from_id, to_id FROM route_fares WHERE route_id = ?', [routeId])) {
+      if (!(pos.get(f.from_id) < pos.get(f.to_id))) run('DELETE FROM route_fares WHERE id = ?', [f.id]);
+    }
+  }
+
+  // Passengers already booked on open trips must still have a valid leg and seat
+  function _checkOpenTrips(query, routeIds) {
+    const marks = routeIds.map(() => '?').join(', ');
+    const stranded = query(`
+      SELECT COUNT(*) AS n
+      FROM passenger_legs l
+      JOIN trips t ON l.trip_id = t.id
+      WHERE t.route_id IN (${marks}) AND t.status IN ('open', 'boarding')
+        AND (l.board_pos IS NULL OR l.alight_pos IS NULL OR l.board_pos >= l.alight_pos)
+    `, routeIds)[0].n;
+    if (stranded) {
+      throw new Error(`${stranded} passenger${stranded > 1 ? 's' : ''} on open trips board or get off at a stop being removed or moved.`);
+    }
+    const clash = query(`
+      SELECT 1
+      FROM passenger_legs a
+      JOIN passenger_legs b
+        ON b.trip_id = a.trip_id AND b.seat_no = a.seat_no AND b.id > a.id
+       AND a.board_pos < b.alight_pos AND b.board_pos < a.alight_pos
+      JOIN trips t ON a.trip_id = t.id
+      WHERE t.route_id IN (${marks}) AND t.status IN ('open', 'boarding')
+      LIMIT 1
+    `, routeIds);
+    if (clash.length) throw new Error('Passengers on an open trip would end up sharing a seat.');
+  }
+
+  /**
+   * Set the stops between a route's ends, by place name in travel order.
+   * New places are added. The reverse route gets the same stops backwards.
+   * Refused if it would strand or double-seat anyone on an open trip.
+   * @returns {Promise<Array>} the route's stops, as getStops
+   */
+  async function saveStops(routeId, names) {
+    const route = DB.query('SELECT * FROM routes WHERE id = ?', [routeId])[0];
+    if (!route) throw new Error('Route not found.');
+    const cleaned = names.map(n => String(n ?? '').trim()).filter(Boolean);
+
+    await DB.transaction(async tx => {
+      const ids = cleaned.map(name =>
+        tx.query('SELECT id FROM places WHERE name = ? COLLATE NOCASE', [name])[0]?.id
+          ?? DBConfig.insertPlace(tx, name)
+      );
+      if (ids.includes(route.departure_id) || ids.includes(route.destination_id)) {
+        throw new Error("A stop cannot be the route's departure or destination.");
+      }
+      if (new Set(ids).size !== ids.length) throw new Error('Each stop can only be listed once.');
+
+      const reverseId = _reverseRouteId(tx.query, routeId);
+      _setStops(tx, routeId, ids);
+      if (reverseId) _setStops(tx, reverseId, [...ids].reverse());
+      _checkOpenTrips(tx.query, reverseId ? [routeId, reverseId] : [routeId]);
+    });
+    return getStops(routeId);
+  }
+
+  // ── Fares ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Fares set for legs shorter than the whole route, in stop order
+   */
+  function getFares(routeId) {
+    const pos = new Map(getStops(routeId).map(s => [s.place_id, s.position]));
+    return DB.query(`
+      SELECT f.*, a.name AS from_name, b.name AS to_name
+      FROM route_fares f
+      JOIN places a ON f.from_id = a.id
+      JOIN places b ON f.to_id   = b.id
+      WHERE f.route_id = ?
+    `, [routeId]).sort((x, y) =>
+      pos.get(x.from_id) - pos.get(y.from_id) || pos.get(x.to_id) - pos.get(y.to_id)
+    );
+  }
+
+  // Blank is no price
+  function _price(v) {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    if (isNaN(n) || n < 0) throw new Error('Fares cannot be negative.');
+    return n || null;
+  }
+
+  /**
+   * Replace a route's leg fares. Each is { fromId, toId, priceAc, priceNoAc };
+   * a leg with neither price has no fare and can't be sold. The reverse
+   * route gets the same fare for any leg it has none for yet, as saving a
+   * route does.
+   */
+  async function saveFares(routeId, fares) {
+    const stops = getStops(routeId);
+    const pos   = new Map(stops.map(s => [s.place_id, s.position]));
+    const rows  = fares.map(f => ({
+      fromId:    Number(f.fromId),
+      toId:      Number(f.toId),
+      priceAc:   _price(f.priceAc),
+      priceNoAc: _price(f.priceNoAc),
+    }));
+    for (const f of rows) {
+      if (!(pos.get(f.fromId) < pos.get(f.toId))) throw new Error('Each fare must run forwards between two stops on the route.');
+      if (pos.get(f.fromId) === 0 && pos.get(f.toId) === stops.length - 1) {
+        throw new Error('The whole-route fare is set with the route prices.');
+      }
+    }
+
+    await DB.transaction(async ({ query, run }) => {
+      const reverseId = _reverseRouteId(query, routeId);
+      run('DELETE FROM route_fares WHERE route_id = ?', [routeId]);
+      for (const f of rows.filter(f => f.priceAc || f.priceNoAc)) {
+        run(`
+          INSERT INTO route_fares (route_id, from_id, to_id, price_ac, price_no_ac)
+          VALUES (?, ?, ?, ?, ?)
+        `, [routeId, f.fromId, f.toId, f.priceAc, f.priceNoAc]);
+        if (reverseId) {
+          run(`
+            INSERT OR IGNORE INTO route_fares (route_id, from_id, to_id, price_ac, price_no_ac)
+            VALUES (?, ?, ?, ?, ?)
+          `, [reverseId, f.toId, f.fromId, f.priceAc, f.priceNoAc]);
+        }
+      }
+    });
+    return getFares(routeId);
+  }
+
+  /**
+   * Current fare from one point on a route to another, with or without AC,
+   * or null when none is set. The whole route is priced as the route.
+   */
+  function getLegFare(routeId, boardId, alightId, hasAc) {
+    const col = hasAc ? 'price_ac' : 'price_no_ac';
+    const row = DB.query(`
+      SELECT ${col} AS fare FROM routes
+      WHERE id = ? AND departure_id = ? AND destination_id = ?
+      UNION ALL
+      SELECT ${col} FROM route_fares
+      WHERE route_id = ? AND from_id = ? AND to_id = ?
+    `, [routeId, boardId, alightId, routeId, boardId, alightId])[0];
+    return row?.fare ?? null;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return { getStops, saveStops, getFares, saveFares, getLegFare };
+
+})();
@@ -0,0 +1,355 @@
+/**
+ * db-sync.js
+ * Data access layer — Merging terminals
+ * Handles: folding another terminal's backup into this database, matching
+ *          rows that are already here, route price conflicts, dry-run preview
+ *
+ * Places, drivers, trips, passengers and payments carry a uid (schema v19)
+ * that is the same on every terminal, so merging a backup twice — or merging
+ * back what another terminal took from here — adds nothing. Rows from older
+ * backups are matched on what they hold instead. Vehicle types, routes and
+ * buses the trips need are matched by name and added when missing.
+ * Operators, close-outs, timetables, waitlists, transfers and the audit log
+ * belong to the terminal that made them and are not merged.
+ */
+
+const DBSync = (() => {
+
+  const KINDS = {
+    places:     'Places',
+    drivers:    'Drivers',
+    vehicles:   'Vehicle types',
+    routes:     'Routes',
+    buses:      'Buses',
+    trips:      'Trips',
+    passengers: 'Passengers',
+    payments:   'Payments',
+  };
+
+  // Checks the other terminal made when it wrote these rows. Its closed-out
+  // days and departed trips would otherwise turn its records away here.
+  const SUSPENDED = ['lock_trip_insert', 'lock_passenger_insert', 'lock_payment_insert', 'enforce_trip_open'];
+
+  // Thrown to roll back a dry run
+  const DRY_RUN = Symbol('dry run');
+
+  // ── Rows ───────────────────────────────────────────────────────────────────
+
+  // Copy a row from the backup, with its ids swapped for ours
+  function _insert({ run }, table, row, changes = {}) {
+    const values = { ...row, ...changes };
+    delete values.id;
+    const cols = Object.keys(values);
+    return run(
+      `INSERT INTO ${table} (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`,
+      cols.map(c => values[c])
+    ).lastInsertRowid;
+  }
+
+  // Each new row is its own savepoint, so one that a check here turns
+  // away is undone without losing the rest
+  function _add(tx, report, kind, item, fn) {
+    tx.run('SAVEPOINT merge_row');
+    try {
+      const id = fn();
+      tx.run('RELEASE merge_row');
+      report.counts[kind].added++;
+      return id;
+    } catch (err) {
+      tx.run('ROLLBACK TO merge_row');
+      tx.run('RELEASE merge_row');
+      report.skipped.push({ kind, item, detail: err.message });
+      return null;
+    }
+  }
+
+  function _same(report, kind, id) {
+    report.counts[kind].same++;
+    return id;
+  }
+
+  // ── Config ─────────────────────────────────────────────────────────────────
+  // Each returns a Map of the backup's ids to ours
+
+  function _places(tx, remote, report) {
+    const ids = new Map();
+    for (const p of remote.query('SELECT * FROM places ORDER BY id')) {
+      const local = tx.query('SELECT id FROM places WHERE uid = ?', [p.uid])[0]
+        || tx.query('SELECT id FROM places WHERE name = ? COLLATE NOCASE', [p.name])[0];
+      if (local) {
+        ids.set(p.id, _same(report, 'places', local.id));
+        continue;
+      }
+      // States come from the country packs, so match them by name
+      const state = p.state_id && remote.query(`
+        SELECT s.name, c.code FROM states s JOIN countries c ON s.country_id = c.id WHERE s.id = ?
+      `, [p.state_id])[0];
+      const stateId = state ? tx.query(`
+        SELECT s.id FROM states s JOIN countries c ON s.country_id = c.id
+        WHERE s.name = ? AND c.code = ?
+      `, [state.name, state.code])[0]?.id ?? null : null;
+      ids.set(p.id, _add(tx, report, 'places', p.name, () => _insert(tx, 'places', p, { state_id: stateId })));
+    }
+    return ids;
+  }
+
+  function _drivers(tx, remote, report) {
+    const ids = new Map();
+    for (const d of remote.query('SELECT * FROM drivers ORDER BY id')) {
+      const local = tx.query('SELECT id FROM drivers WHERE uid = ?', [d.uid])[0]
+        || tx.query('SELECT id FROM drivers WHERE phone = ?', [d.phone])[0];
+      ids.set(d.id, local
+        ? _same(report, 'drivers', local.id)
+        : _add(tx, report, 'drivers', d.name, () => _insert(tx, 'drivers', d)));
+    }
+    return ids;
+  }
+
+  function _vehicles(tx, remote, report) {
+    const ids = new Map();
+    for (const v of remote.query('SELECT * FROM vehicles ORDER BY id')) {
+      const local = tx.query('SELECT id FROM vehicles WHERE type = ? COLLATE NOCASE', [v.type])[0];
+      ids.set(v.id, local
+        ? _same(report, 'vehicles', local.id)
+        : _add(tx, report, 'vehicles', v.type, () => _insert(tx, 'vehicles', v)));
+    }
+    return ids;
+  }
+
+  /**
+   * Routes both terminals have but price differently are conflicts: ours
+   * are kept unless choices[key] is 'theirs'. New routes come with their
+   * stops and stop-to-stop fares.
+   */
+  function _routes(tx, remote, report, { places, vehicles }, choices) {
+    const ids = new Map();
+    const routes = remote.query(`
+      SELECT r.*, dep.name AS departure, dest.name AS destination, v.type AS vehicle_type
+      FROM routes r
+      JOIN places  dep  ON r.departure_id   = dep.id
+      JOIN places  dest ON r.destination_id = dest.id
+      JOIN vehicles v   ON r.vehicle_id     = v.id
+      ORDER BY r.id
+    `);
+    for (const { departure, destination, vehicle_type, ...r } of routes) {
+      const item  = `${departure} → ${destination} · ${vehicle_type}`;
+      const local = tx.query(`
+        SELECT * FROM routes WHERE departure_id = ? AND destination_id = ? AND vehicle_id = ?
+      `, [places.get(r.departure_id), places.get(r.destination_id), vehicles.get(r.vehicle_id)])[0];
+
+      if (!local) {
+        ids.set(r.id, _add(tx, report, 'routes', item, () => {
+          const id = _insert(tx, 'routes', r, {
+            departure_id:   places.get(r.departure_id),
+            destination_id: places.get(r.destination_id),
+            vehicle_id:     vehicles.get(r.vehicle_id),
+          });
+          DBConfig.setRoutePrices(tx, id, r.price_ac, r.price_no_ac);
+          for (const s of remote.query('SELECT * FROM route_stops WHERE route_id = ?', [r.id])) {
+            _insert(tx, 'route_stops', s, { route_id: id, place_id: places.get(s.place_id) });
+          }
+          for (const f of remote.query('SELECT * FROM route_fares WHERE route_id = ?', [r.id])) {
+            _insert(tx, 'route_fares', f, { route_id: id, from_id: places.get(f.from_id), to_id: places.get(f.to_id) });
+          }
+          return id;
+        }));
+        continue;
+      }
+
+      ids.set(r.id, _same(report, 'routes', local.id));
+      if (local.price_ac === r.price_ac && local.price_no_ac === r.price_no_ac) continue;
+      const key    = `route:${local.id}`;
+      const choice = choices[key] === 'theirs' ? 'theirs' : 'ours';
+      report.conflicts.push({
+        key, item, choice,
+        ours:   { priceAc: local.price_ac, priceNoAc: local.price_no_ac },
+        theirs: { priceAc: r.price_ac,     priceNoAc: r.price_no_ac },
+      });
+      if (choice === 'theirs') DBConfig.setRoutePrices(tx, local.id, r.price_ac, r.price_no_ac);
+    }
+    return ids;
+  }
+
+  function _buses(tx, remote, report, { vehicles }) {
+    const ids = new Map();
+    for (const b of remote.query('SELECT * FROM fleet ORDER BY id')) {
+      const local = tx.query('SELECT id FROM fleet WHERE plate = ? COLLATE NOCASE', [b.plate])[0];
+      ids.set(b.id, local
+        ? _same(report, 'buses', local.id)
+        : _add(tx, report, 'buses', b.plate, () => _insert(tx, 'fleet', b, { vehicle_id: vehicles.get(b.vehicle_id) })));
+    }
+    return ids;
+  }
+
+  // ── Bookings ───────────────────────────────────────────────────────────────
+  // Each returns the id Map and which of ours this merge added
+
+  // A trip from an older backup is the same trip if it has the same code
+  // and was booked at the same moment; any other trip with that code is a
+  // clash, and the backup's trip is left out
+  function _trips(tx, remote, report, { routes, drivers, buses }) {
+    const ids = new Map();
+    const added = new Set();
+    for (const t of remote.query('SELECT * FROM trips ORDER BY id')) {
+      const byUid  = tx.query('SELECT id FROM trips WHERE uid = ?', [t.uid])[0];
+      const byCode = !byUid && tx.query('SELECT id, booked_at FROM trips WHERE booking_code = ?', [t.booking_code])[0];
+      const local  = byUid || (byCode?.booked_at === t.booked_at ? byCode : null);
+      if (local) {
+        ids.set(t.id, _same(report, 'trips', local.id));
+        continue;
+      }
+      if (byCode) {
+        const { n } = remote.query('SELECT COUNT(*) AS n FROM passengers WHERE trip_id = ?', [t.id])[0];
+        report.skipped.push({
+          kind:   'trips',
+          item:   t.booking_code,
+          detail: 'Booking code is already used here by another trip.'
+            + (n ? ` Its ${n} passenger${n === 1 ? ' was' : 's were'} not merged.` : ''),
+        });
+        continue;
+      }
+      // Timetables are per terminal, so a merged trip is a one-off here
+      const id = _add(tx, report, 'trips', t.booking_code, () => _insert(tx, 'trips', t, {
+        route_id:    routes.get(t.route_id),
+        driver_id:   drivers.get(t.driver_id),
+        fleet_id:    t.fleet_id ? buses.get(t.fleet_id) ?? null : null,
+        schedule_id: null,
+      }));
+      ids.set(t.id, id);
+      if (id) added.add(id);
+    }
+    return { ids, added };
+  }
+
+  // Passengers are checked against seats and stops as they are here, so
+  // one the other terminal seated differently is reported, not forced in.
+  // Rows from older backups are only matched on trips that were already
+  // here; on a trip just added, every passenger is new.
+  function _passengers(tx, remote, report, { trips, places }) {
+    const ids = new Map();
+    const added = new Set();
+    const passengers = remote.query(`
+      SELECT p.*, t.booking_code FROM passengers p JOIN trips t ON p.trip_id = t.id ORDER BY p.id
+    `);
+    for (const { booking_code, ...p } of passengers) {
+      const tripId = trips.ids.get(p.trip_id);
+      if (!tripId) continue;
+      const local = tx.query('SELECT id FROM passengers WHERE uid = ?', [p.uid])[0]
+        || (!trips.added.has(tripId) && tx.query(`
+          SELECT id FROM passengers
+          WHERE trip_id = ? AND name = ? AND phone IS ? AND seat_no IS ?
+        `, [tripId, p.name, p.phone, p.seat_no])[0]);
+      if (local) {
+        ids.set(p.id, _same(report, 'passengers', local.id));
+        continue;
+      }
+      const id = _add(tx, report, 'passengers', `${p.name} · ${booking_code}`, () => _insert(tx, 'passengers', p, {
+        trip_id:      tripId,
+        board_id:     p.board_id  ? places.get(p.board_id)  ?? null : null,
+        alight_id:    p.alight_id ? places.get(p.alight_id) ?? null : null,
+        traveller_id: DBDirectory.upsertTraveller(tx, {
+          name: p.name, phone: p.phone, gender: p.gender,
+          nokName: p.nok_name, nokPhone: p.nok_phone, idType: p.id_type, idNumber: p.id_number,
+        }),
+      }));
+      ids.set(p.id, id);
+      if (id) added.add(id);
+    }
+    return { ids, added };
+  }
+
+  function _payments(tx, remote, report, { passengers }) {
+    const payments = remote.query(`
+      SELECT m.*, p.name AS passenger FROM payments m JOIN passengers p ON m.passenger_id = p.id ORDER BY m.id
+    `);
+    for (const { passenger, ...m } of payments) {
+      const passengerId = passengers.ids.get(m.passenger_id);
+      if (!passengerId) continue;
+      const local = tx.query('SELECT id FROM payments WHERE uid = ?', [m.uid])[0]
+        || (!passengers.added.has(passengerId) && tx.query(`
+          SELECT id FROM payments
+          WHERE passenger_id = ? AND kind = ? AND amount = ? AND created_at IS ?
+        `, [passengerId, m.kind, m.amount, m.created_at])[0]);
+      if (local) {
+        _same(report, 'payments', local.id);
+        continue;
+      }
+      _add(tx, report, 'payments', `${m.kind} ${DB.formatMoney(m.amount)} · ${passenger}`,
+        () => _insert(tx, 'payments', m, { passenger_id: passengerId }));
+    }
+  }
+
+  // ── Merge ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Run the whole merge inside one transaction, rolled back again when
+   * only previewing
+   */
+  async function _merge(file, choices, apply) {
+    const remote = await DB.openBackup(file);
+    const report = {
+      company:   remote.query('SELECT name FROM company LIMIT 1')[0]?.name ?? null,
+      counts:    Object.fromEntries(Object.keys(KINDS).map(k => [k, { added: 0, same: 0 }])),
+      conflicts: [],
+      skipped:   [],
+      applied:   apply,
+    };
+
+    try {
+      await DB.transaction(async tx => {
+        const held = tx.query(`
+          SELECT sql FROM sqlite_master WHERE type = 'trigger' AND name IN (${SUSPENDED.map(() => '?').join(', ')})
+        `, SUSPENDED);
+        SUSPENDED.forEach(name => tx.run(`DROP TRIGGER IF EXISTS ${name}`));
+
+        const ids = {};
+        ids.places     = _places(tx, remote, report);
+        ids.drivers    = _drivers(tx, remote, report);
+        ids.vehicles   = _vehicles(tx, remote, report);
+        ids.routes     = _routes(tx, remote, report, ids, choices);
+        ids.buses      = _buses(tx, remote, report, ids);
+        ids.trips      = _trips(tx, remote, report, ids);
+        ids.passengers = _passengers(tx, remote, report, ids);
+        _payments(tx, remote, report, ids);
+
+        held.forEach(t => tx.run(t.sql));
+        if (!apply) throw DRY_RUN;
+      });
+    } catch (err) {
+      if (err !== DRY_RUN) throw err;
+    } finally {
+      remote.close();
+    }
+    return report;
+  }
+
+  /**
+   * What merging another terminal's backup would do, without changing
+   * anything. Every conflict is shown with ours kept.
+   * @param {File} file
+   * @returns {Promise<{ company, counts: Object<string, { added, same }>,
+   *   conflicts: { key, item, choice, ours, theirs }[],
+   *   skipped: { kind, item, detail }[], applied }>}
+   */
+  function previewMerge(file) {
+    return _merge(file, {}, false);
+  }
+
+  /**
+   * Merge another terminal's backup into this one. The current data is
+   * kept as an undo snapshot first.
+   * @param {File} file
+   * @param {Object<string, 'ours'|'theirs'>} choices  per conflict key
+   */
+  async function applyMerge(file, choices = {}) {
+    const check = await DB.inspectDB(file);
+    if (!check.ok) throw new Error(check.errors[0]);
+    await DB.takeUndoSnapshot('merge');
+    return _merge(file, choices, true);
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return { KINDS, previewMerge, applyMerge };
+
+})();
@@ -0,0 +1,236 @@
+/**
+ * db-timetable.js
+ * Data access layer — Timetable
+ * Handles: recurring schedules, generating upcoming trips, departure lists
+ */
+
+const DBTimetable = (() => {
+
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const ALL_DAYS = 127;
+
+  // How far ahead trips are created by default
+  const DEFAULT_DAYS_AHEAD = 7;
+
+  // ── Helpers ────────────────────────────────────────────────────────────────
+
+  function maskFromDays(days) {
+    return days.reduce((mask, d) => mask | (1 << d), 0);
+  }
+
+  function daysFromMask(mask) {
+    return WEEKDAYS.map((_, d) => d).filter(d => mask & (1 << d));
+  }
+
+  function describeDays(mask) {
+    if (mask === ALL_DAYS) return 'Daily';
+    if (mask === maskFromDays([1, 2, 3, 4, 5])) return 'Mon–Fri';
+    return daysFromMask(mask).map(d => WEEKDAYS[d]).join(' ');
+  }
+
+  // ── Schedules ──────────────────────────────────────────────────────────────
+
+  function getSchedules() {
+    return DB.query(`
+      SELECT
+        s.*,
+        dep.name  AS departure,
+        dest.name AS destination,
+        v.type    AS vehicle_type,
+        v.capacity,
+        d.name    AS driver_name,
+        d.phone   AS driver_phone
+      FROM schedules s
+      JOIN routes   r    ON s.route_id       = r.id
+      JOIN places   dep  ON r.departure_id   = dep.id
+      JOIN places   dest ON r.destination_id = dest.id
+      JOIN vehicles v    ON r.vehicle_id     = v.id
+      JOIN drivers  d    ON s.driver_id      = d.id
+      ORDER BY dep.name, dest.name, s.depart_time
+    `);
+  }
+
+  /**
+   * Add or update a schedule.
+   * The driver is matched on phone; a new phone adds a new driver.
+   * An existing driver is never renamed from here, and a suspended one
+   * can't be given a departure. The bus must be of the route's vehicle type.
+   */
+  async function saveSchedule({ id = null, routeId, departTime, weekdays, hasAc, fleetId, driverName, driverPhone, active = true }) {
+    const time  = String(departTime || '').trim();
+    const name  = String(driverName || '').trim();
+    const phone = String(driverPhone || '').trim();
+    const mask  = Array.isArray(weekdays) ? maskFromDays(weekdays) : parseInt(weekdays);
+
+    if (!routeId) throw new Error('Select a route.');
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) throw new Error('Enter a departure time as HH:MM.');
+    if (!mask) throw new Error('Pick at least one day.');
+    if (!fleetId) throw new Error('Select the bus.');
+    if (!name || !phone) throw new Error('Enter the driver name and phone.');
+
+    const driver = DB.query('SELECT id, name, status FROM drivers WHERE phone = ?', [phone])[0];
+    if (driver && driver.name.toLowerCase() !== name.toLowerCase()) {
+      throw new Error(`Phone ${phone} belongs to driver ${driver.name}.`);
+    }
+    if (driver?.status === 'suspended') throw new Error(`Driver ${driver.name} is suspended.`);
+
+    const bus = DB.query(`
+      SELECT f.plate, f.has_ac, f.vehicle_id = r.vehicle_id AS fits
+      FROM fleet f, routes r
+      WHERE f.id = ? AND r.id = ?
+    `, [fleetId, routeId])[0];
+    if (!bus) throw new Error('Bus not found.');
+    if (!bus.fits) throw new Error(`Bus ${bus.plate} is not the vehicle type for this route.`);
+    if (hasAc && !bus.has_ac) throw new Error(`Bus ${bus.plate} has no AC fitted.`);
+    const plate = bus.plate;
+
+    await DB.transaction(async ({ run }) => {
+      const driverId = driver
+        ? driver.id
+        : run('INSERT INTO drivers (name, phone, vehicle_no) VALUES (?, ?, ?)', [name, phone, plate]).lastInsertRowid;
+      const params = [routeId, time, mask, hasAc ? 1 : 0, fleetId, plate, driverId, active ? 1 : 0];
+      if (id) {
+        run(`
+          UPDATE schedules
+          SET route_id = ?, depart_time = ?, weekdays = ?, has_ac = ?, fleet_id = ?, vehicle_no = ?, driver_id = ?, active = ?
+          WHERE id = ?
+        `, [...params, id]);
+      } else {
+        run(`
+          INSERT INTO schedules (route_id, depart_time, weekdays, has_ac, fleet_id, vehicle_no, driver_id, active)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, params);
+      }
+    });
+    return getSchedules();
+  }
+
+  async function setScheduleActive(id, active) {
+    await DB.run('UPDATE schedules SET active = ? WHERE id = ?', [active ? 1 : 0, id]);
+    return getSchedules();
+  }
+
+  /**
+   * Delete a schedule. Upcoming trips it created that nobody has booked
+   * are removed; trips with passengers stay and are detached.
+   */
+  async function deleteSchedule(id) {
+    await DB.transaction(async ({ run }) => {
+      run(`
+        DELETE FROM trips
+        WHERE schedule_id = ?
+          AND status = 'open'
+          AND scheduled_at > datetime('now','localtime')
+          AND NOT EXISTS (SELECT 1 FROM passengers p WHERE p.trip_id = trips.id)
+          AND NOT EXISTS (SELECT 1 FROM waitlist w WHERE w.trip_id = trips.id)
+          AND NOT EXISTS (SELECT 1 FROM passenger_transfers x WHERE x.from_trip_id = trips.id)
+      `, [id]);
+      run('UPDATE trips SET schedule_id = NULL WHERE schedule_id = ?', [id]);
+      run('DELETE FROM schedules WHERE id = ?', [id]);
+    });
+    return getSchedules();
+  }
+
+  // ── Trip generation ────────────────────────────────────────────────────────
+
+  /**
+   * Create trips for every active schedule from now until `days` days ahead.
+   * Runs that already have a trip, or whose time has passed, are skipped,
+   * so this is safe to call on every page load. Departures whose driver is
+   * suspended or whose bus is out of service are skipped until they are
+   * reinstated or reassigned, and days already closed out get no new trips.
+   * @returns {Promise<number>} trips created
+   */
+  async function generateTrips({ days = DEFAULT_DAYS_AHEAD, from = new Date() } = {}) {
+    const schedules = DB.query(`
+      SELECT s.*, r.price_ac, r.price_no_ac
+      FROM schedules s
+      JOIN routes  r ON s.route_id  = r.id
+      JOIN drivers d ON s.driver_id = d.id
+      LEFT JOIN fleet f ON s.fleet_id = f.id
+      WHERE s.active = 1 AND d.status = 'active' AND COALESCE(f.status, 'active') = 'active'
+    `);
+    const now = `${DB.localDate(from)} ${String(from.getHours()).padStart(2, '0')}:${String(from.getMinutes()).padStart(2, '0')}`;
+    const closed = new Set(DB.query('SELECT business_day FROM closeouts').map(c => c.business_day));
+
+    const runs = [];
+    for (let i = 0; i < days; i++) {
+      const day  = new Date(from.getFullYear(), from.getMonth(), from.getDate() + i);
+      const date = DB.localDate(day);
+      if (closed.has(date)) continue;
+      schedules
+        .filter(s => s.weekdays & (1 << day.getDay()))
+        .forEach(s => {
+          const at = `${date} ${s.depart_time}`;
+          if (at <= now) return;
+          const exists = DB.query(
+            'SELECT 1 FROM trips WHERE schedule_id = ? AND scheduled_at = ?',
+            [s.id, at]
+          ).length;
+          if (!exists) runs.push({ s, at });
+        });
+    }
+    if (!runs.length) return 0;
+
+    await DB.transaction(async tx => {
+      for (const { s, at } of runs) {
+        tx.run(`
+          INSERT INTO trips (booking_code, route_id, driver_id, fleet_id, vehicle_no, has_ac, fare, scheduled_at, schedule_id, booked_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now','localtime'))
+        `, [
+          DB.nextBookingCode(tx),
+          s.route_id, s.driver_id, s.fleet_id, s.vehicle_no, s.has_ac,
+          s.has_ac ? s.price_ac : s.price_no_ac,
+          at, s.id,
+        ]);
+      }
+    });
+    return runs.length;
+  }
+
+  // ── Departures ─────────────────────────────────────────────────────────────
+
+  /**
+   * Open trips with a scheduled time in [from, to), soonest first,
+   * for the departure picker on the booking page. Seats are counted per
+   * leg as DBBooking does: `seats_left` is free for the whole route, and
+   * `full` only when no leg at all can be sold.
+   */
+  function getDepartures({ from, to }) {
+    const trips = DB.query(`
+      SELECT
+        t.id,
+        t.booking_code,
+        t.scheduled_at,
+        t.status,
+        t.vehicle_no,
+        dep.name  AS departure,
+        dest.name AS destination,
+        v.type    AS vehicle_type,
+        v.capacity
+      FROM trips t
+      JOIN routes   r    ON t.route_id       = r.id
+      JOIN places   dep  ON r.departure_id   = dep.id
+      JOIN places   dest ON r.destination_id = dest.id
+      JOIN vehicles v    ON r.vehicle_id     = v.id
+      WHERE t.status IN ('open', 'boarding') AND t.deleted_at IS NULL
+        AND t.scheduled_at >= ? AND t.scheduled_at < ?
+      ORDER BY t.scheduled_at, dep.name
+    `, [from, to]);
+    return trips.map(t => ({
+      ...t,
+      seats_left: DBBooking.getSeatsRemaining(t.id),
+      full:       DBBooking.isTripFull(t.id),
+    }));
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    WEEKDAYS, ALL_DAYS, DEFAULT_DAYS_AHEAD,
+    maskFromDays, daysFromMask, describeDays,
+    getSchedules, saveSchedule, setScheduleActive, deleteSchedule,
+    generateTrips, getDepartures,
+  };
+
+})();
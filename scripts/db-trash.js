@@ -0,0 +1,216 @@
+/**
+ * db-trash.js
+ * Data access layer — Trash
+ * Handles: deleted trips and passengers, restoring them, how long they are
+ *          kept, and purging them for good
+ */
+
+const DBTrash = (() => {
+
+  const DEFAULT_DAYS = 30;
+  const MAX_DAYS     = 3650;
+
+  // Day a record deleted at `col` is purged, as YYYY-MM-DD
+  const PURGE_ON = col => `date(${col}, '+' || COALESCE((SELECT trash_days FROM company LIMIT 1), ${DEFAULT_DAYS}) || ' days')`;
+
+  // ── Retention ──────────────────────────────────────────────────────────────
+
+  function getRetentionDays() {
+    return DB.query('SELECT trash_days FROM company LIMIT 1')[0]?.trash_days ?? DEFAULT_DAYS;
+  }
+
+  async function setRetentionDays(days) {
+    const n = Number(days);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_DAYS) {
+      throw new Error(`Keep deleted records for 1 to ${MAX_DAYS} days.`);
+    }
+    await DB.run('UPDATE company SET trash_days = ?', [n]);
+    return n;
+  }
+
+  // ── Listing ────────────────────────────────────────────────────────────────
+
+  /**
+   * Everything in the trash, most recently deleted first. Passengers are
+   * those deleted one by one; a deleted trip takes its passengers with it.
+   * @returns {{ trips: Object[], passengers: Object[] }}
+   */
+  function getTrash() {
+    const trips = DB.query(`
+      SELECT
+        t.id,
+        t.booking_code,
+        t.booked_at,
+        t.scheduled_at,
+        t.status,
+        t.deleted_at,
+        t.deleted_by,
+        t.delete_reason,
+        dep.name  AS departure,
+        dest.name AS destination,
+        (SELECT COUNT(*) FROM passengers p
+          WHERE p.trip_id = t.id AND p.status = 'booked' AND p.deleted_at IS NULL) AS passenger_count,
+        ${PURGE_ON('t.deleted_at')} AS purge_on
+      FROM trips t
+      JOIN routes r    ON t.route_id       = r.id
+      JOIN places dep  ON r.departure_id   = dep.id
+      JOIN places dest ON r.destination_id = dest.id
+      WHERE t.deleted_at IS NOT NULL
+      ORDER BY t.deleted_at DESC, t.id DESC
+    `);
+
+    const passengers = DB.query(`
+      SELECT
+        p.id,
+        p.name,
+        p.phone,
+        p.seat_no,
+        p.deleted_at,
+        p.deleted_by,
+        p.delete_reason,
+        t.id AS trip_id,
+        t.booking_code,
+        t.deleted_at IS NOT NULL AS trip_deleted,
+        dep.name  AS departure,
+        dest.name AS destination,
+        ${PURGE_ON('p.deleted_at')} AS purge_on
+      FROM passengers p
+      JOIN trips  t    ON p.trip_id        = t.id
+      JOIN routes r    ON t.route_id       = r.id
+      JOIN places dep  ON r.departure_id   = dep.id
+      JOIN places dest ON r.destination_id = dest.id
+      WHERE p.deleted_at IS NOT NULL
+      ORDER BY p.deleted_at DESC, p.id DESC
+    `);
+
+    return { trips, passengers };
+  }
+
+  // ── Restore ────────────────────────────────────────────────────────────────
+
+  async function restoreTrip(tripId) {
+    await DB.run(`
+      UPDATE trips SET deleted_at = NULL, deleted_by = NULL, delete_reason = NULL
+      WHERE id = ? AND deleted_at IS NOT NULL
+    `, [tripId]);
+  }
+
+  /**
+   * Put a passenger back on their trip in their old seat. Fails if the
+   * trip is itself in the trash, or the seat has been sold since.
+   */
+  async function restorePassenger(passengerId) {
+    const p = DB.query(`
+      SELECT p.*, t.booking_code, t.deleted_at AS trip_deleted_at
+      FROM passengers p JOIN trips t ON p.trip_id = t.id
+      WHERE p.id = ? AND p.deleted_at IS NOT NULL
+    `, [passengerId])[0];
+    if (!p) throw new Error('Passenger not found in the trash.');
+    if (p.trip_deleted_at) throw new Error(`Restore trip ${p.booking_code} first.`);
+    try {
+      await DB.run(`
+        UPDATE passengers SET deleted_at = NULL, deleted_by = NULL, delete_reason = NULL
+        WHERE id = ?
+      `, [passengerId]);
+    } catch (err) {
+      if (err.message.includes('Seat is already taken')) {
+        throw new Error(`Seat ${p.seat_no} on ${p.booking_code} has been sold since. Move that passenger first.`);
+      }
+      if (err.message.includes('fully booked')) throw new Error(`${p.booking_code} has no seat free for ${p.name} now.`);
+      throw err;
+    }
+  }
+
+  // ── Purge ──────────────────────────────────────────────────────────────────
+  // Hard deletes, inside a transaction. The close-out triggers still refuse
+  // anything on a closed-out day.
+
+  function _purgePassengers({ run }, where, params) {
+    const ids = `SELECT id FROM passengers WHERE ${where}`;
+    run(`UPDATE waitlist SET passenger_id = NULL WHERE passenger_id IN (${ids})`, params);
+    run(`DELETE FROM passenger_transfers WHERE passenger_id IN (${ids})`, params);
+    run(`DELETE FROM payments WHERE passenger_id IN (${ids})`, params);
+    run(`DELETE FROM passengers WHERE ${where}`, params);
+  }
+
+  // Passengers moved off the trip are still travelling elsewhere; their
+  // transfer record points back here, so the trip has to stay with it.
+  function _purgeTrip(tx, tripId) {
+    tx.run('DELETE FROM waitlist WHERE trip_id = ?', [tripId]);
+    _purgePassengers(tx, 'trip_id = ?', [tripId]);
+    const moved = tx.query(`
+      SELECT COUNT(DISTINCT passenger_id) AS n FROM passenger_transfers
+      WHERE from_trip_id = ? OR to_trip_id = ?
+    `, [tripId, tripId])[0].n;
+    if (moved) {
+      throw new Error(`${moved} passenger${moved > 1 ? 's were' : ' was'} moved off this trip and their transfer record points to it, so it can't be deleted for good.`);
+    }
+    tx.run('DELETE FROM trips WHERE id = ?', [tripId]);
+  }
+
+  /**
+   * Delete a trip in the trash for good, with its passengers and payments
+   */
+  async function purgeTrip(tripId) {
+    const trip = DB.query('SELECT 1 FROM trips WHERE id = ? AND deleted_at IS NOT NULL', [tripId])[0];
+    if (!trip) throw new Error('Trip not found in the trash.');
+    await DB.transaction(async tx => _purgeTrip(tx, tripId));
+  }
+
+  /**
+   * Delete a passenger in the trash for good, with their payments
+   */
+  async function purgePassenger(passengerId) {
+    const p = DB.query('SELECT 1 FROM passengers WHERE id = ? AND deleted_at IS NOT NULL', [passengerId])[0];
+    if (!p) throw new Error('Passenger not found in the trash.');
+    await DB.transaction(async tx => _purgePassengers(tx, 'id = ?', [passengerId]));
+  }
+
+  /**
+   * Purge everything that has been in the trash longer than the retention
+   * period. Each record is its own savepoint, so one on a closed-out day
+   * is kept without stopping the rest.
+   * @returns {Promise<{ trips: number, passengers: number, kept: number }>}
+   */
+  async function purgeExpired() {
+    const due = col => `${col} IS NOT NULL AND ${PURGE_ON(col)} <= date('now','localtime')`;
+    const trips      = DB.query(`SELECT id FROM trips WHERE ${due('deleted_at')}`).map(t => t.id);
+    const passengers = DB.query(`
+      SELECT p.id FROM passengers p JOIN trips t ON p.trip_id = t.id
+      WHERE ${due('p.deleted_at')} AND t.deleted_at IS NULL
+    `).map(p => p.id);
+    const result = { trips: 0, passengers: 0, kept: 0 };
+    if (!trips.length && !passengers.length) return result;
+
+    await DB.transaction(async tx => {
+      const each = (ids, purge, key) => {
+        for (const id of ids) {
+          tx.run('SAVEPOINT purge_row');
+          try {
+            purge(id);
+            tx.run('RELEASE purge_row');
+            result[key]++;
+          } catch (err) {
+            tx.run('ROLLBACK TO purge_row');
+            tx.run('RELEASE purge_row');
+            result.kept++;
+          }
+        }
+      };
+      each(trips, id => _purgeTrip(tx, id), 'trips');
+      each(passengers, id => _purgePassengers(tx, 'id = ?', [id]), 'passengers');
+    });
+    return result;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    DEFAULT_DAYS, MAX_DAYS,
+    getRetentionDays, setRetentionDays,
+    getTrash,
+    restoreTrip, restorePassenger,
+    purgeTrip, purgePassenger, purgeExpired,
+  };
+
+})();
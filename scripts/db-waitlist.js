@@ -0,0 +1,154 @@
+/**
+ * db-waitlist.js
+ * Data access layer — Waitlist
+ * Handles: people waiting for a seat on a full trip, offering freed seats
+ *          in the order they joined, closing entries when booked or dropped
+ */
+
+const DBWaitlist = (() => {
+
+  const STATUSES = ['waiting', 'offered', 'booked', 'dropped'];
+
+  // Entries still in the queue: offered ones keep their place until booked or dropped
+  const OPEN = `status IN ('waiting', 'offered')`;
+
+  // ── Queries ────────────────────────────────────────────────────────────────
+
+  /**
+   * Everyone who has been on a trip's waitlist, in the order they joined.
+   * Blank board and alight points mean the whole route.
+   */
+  function getWaitlist(tripId) {
+    return DB.query(`
+      SELECT
+        w.*,
+        COALESCE(bp.name, dep.name)  AS board_place,
+        COALESCE(ap.name, dest.name) AS alight_place
+      FROM waitlist w
+      JOIN trips  t    ON w.trip_id        = t.id
+      JOIN routes r    ON t.route_id       = r.id
+      JOIN places dep  ON r.departure_id   = dep.id
+      JOIN places dest ON r.destination_id = dest.id
+      LEFT JOIN places bp ON w.board_id  = bp.id
+      LEFT JOIN places ap ON w.alight_id = ap.id
+      WHERE w.trip_id = ?
+      ORDER BY w.id ASC
+    `, [tripId]);
+  }
+
+  function getEntry(id) {
+    return DB.query('SELECT * FROM waitlist WHERE id = ?', [id])[0] || null;
+  }
+
+  // ── Joining and leaving ────────────────────────────────────────────────────
+
+  /**
+   * Put someone on a trip's waitlist for the whole route or one leg of it
+   * @param {number} tripId
+   * @param {{ name, phone, gender?, boardId?, alightId?, note? }} entry
+   */
+  async function addToWaitlist(tripId, { name, phone, gender = null, boardId = null, alightId = null, note = '' }) {
+    const trip = DB.query('SELECT * FROM trips WHERE id = ? AND deleted_at IS NULL', [tripId])[0];
+    if (!trip) throw new Error('Trip not found.');
+    if (!DBBooking.isTripOpen(trip)) throw new Error(`Trip ${trip.booking_code} is ${trip.status}.`);
+    const n = String(name ?? '').trim();
+    const p = String(phone ?? '').trim();
+    if (!n) throw new Error('Enter the name.');
+    if (!p) throw new Error('Enter the phone number.');
+
+    // Checks the leg is on the route and in travel order
+    DBBooking.getSeatsRemaining(tripId, { boardId, alightId });
+    const stops = DBStops.getStops(trip.route_id);
+    const end   = (id, i) => id && Number(id) !== stops[i].place_id ? Number(id) : null;
+
+    const waiting = DB.query(`SELECT 1 FROM waitlist WHERE trip_id = ? AND phone = ? AND ${OPEN}`, [tripId, p]);
+    if (waiting.length) throw new Error(`${p} is already on the waitlist for this trip.`);
+
+    const result = await DB.run(`
+      INSERT INTO waitlist (trip_id, name, phone, gender, board_id, alight_id, note)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [tripId, n, p, gender || null, end(boardId, 0), end(alightId, stops.length - 1), String(note ?? '').trim() || null]);
+    return getEntry(result.lastInsertRowid);
+  }
+
+  /**
+   * Take someone off the waitlist, e.g. when they decline an offered seat.
+   * A seat they were offered goes to the next in line.
+   * @returns {Promise<Object[]>} entries newly offered a seat
+   */
+  async function dropEntry(id) {
+    const entry = getEntry(id);
+    if (!entry) throw new Error('Waitlist entry not found.');
+    if (!['waiting', 'offered'].includes(entry.status)) throw new Error(`${entry.name} is no longer waiting.`);
+    await DB.run(`
+      UPDATE waitlist SET status = 'dropped', closed_at = datetime('now','localtime') WHERE id = ?
+    `, [id]);
+    return entry.status === 'offered' ? offerSeats(entry.trip_id) : [];
+  }
+
+  /**
+   * Close an entry once its person is booked, inside the booking's
+   * transaction so the two are saved together
+   */
+  function markBooked({ query, run }, id, tripId, passengerId) {
+    const entry = query(`SELECT * FROM waitlist WHERE id = ? AND trip_id = ? AND ${OPEN}`, [id, tripId])[0];
+    if (!entry) throw new Error('That waitlist entry is no longer waiting for this trip.');
+    run(`
+      UPDATE waitlist
+      SET status = 'booked', passenger_id = ?, closed_at = datetime('now','localtime')
+      WHERE id = ?
+    `, [passengerId, id]);
+  }
+
+  // ── Offers ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Offer free seats on an open trip to those waiting, in the order they
+   * joined. A seat is offered only if it is free for the whole of their leg
+   * and not already held out to someone earlier in line on that stretch.
+   * Someone whose leg is still full keeps their place; those behind them
+   * with a shorter leg may be offered first.
+   *
+   * @returns {Promise<Object[]>} entries newly offered a seat
+   */
+  async function offerSeats(tripId) {
+    const trip = DB.query('SELECT * FROM trips WHERE id = ?', [tripId])[0];
+    if (!trip || !DBBooking.isTripOpen(trip)) return [];
+    const queue = DB.query(`SELECT * FROM waitlist WHERE trip_id = ? AND ${OPEN} ORDER BY id ASC`, [tripId]);
+    if (!queue.length) return [];
+
+    const stops = DBStops.getStops(trip.route_id);
+    const pos   = (id, fallback) => id ? stops.find(s => s.place_id === id)?.position : fallback;
+    const span  = w => [pos(w.board_id, 0), pos(w.alight_id, stops.length - 1)];
+    const overlap = ([a1, b1], [a2, b2]) => a1 < b2 && a2 < b1;
+
+    const held    = queue.filter(w => w.status === 'offered').map(span);
+    const offered = [];
+    for (const w of queue.filter(w => w.status === 'waiting')) {
+      const leg = span(w);
+      if (leg[0] === undefined || leg[1] === undefined) continue;   // the route's stops have changed
+      const free = DBBooking.getSeatsRemaining(tripId, { boardId: w.board_id, alightId: w.alight_id });
+      if (free - held.filter(h => overlap(h, leg)).length <= 0) continue;
+      held.push(leg);
+      offered.push(w);
+    }
+    if (!offered.length) return [];
+
+    await DB.transaction(async ({ run }) => {
+      for (const w of offered) {
+        run(`UPDATE waitlist SET status = 'offered', offered_at = datetime('now','localtime') WHERE id = ?`, [w.id]);
+      }
+    });
+    return offered.map(w => getEntry(w.id));
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    STATUSES,
+    getWaitlist, getEntry,
+    addToWaitlist, dropEntry, markBooked,
+    offerSeats,
+  };
+
+})();
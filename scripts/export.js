@@ -0,0 +1,284 @@
+/**
+ * export.js
+ * Spreadsheet export — CSV and .xlsx built in the browser
+ * Handles: column formatting, CSV text, a minimal xlsx workbook (stored zip), download
+ *
+ * Columns are { header, value, type } where value is a row key or a function
+ * of the row, and type is 'text' (default), 'number', 'money', 'date' or 'datetime'.
+ */
+
+const Export = (() => {
+
+  // ── Values ─────────────────────────────────────────────────────────────────
+
+  function _value(col, row) {
+    return typeof col.value === 'function' ? col.value(row) : row[col.value];
+  }
+
+  // SQLite times are local 'YYYY-MM-DD HH:MM[:SS]' (or with a T); split without time zones
+  function _dateParts(v) {
+    const m = String(v ?? '').match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?/);
+    return m ? m.slice(1).map(n => Number(n || 0)) : null;
+  }
+
+  /**
+   * A cell as text for CSV: dates as YYYY-MM-DD[ HH:MM], amounts as plain
+   * numbers with two decimals, and text that a spreadsheet would read as a
+   * formula prefixed with an apostrophe
+   */
+  function formatCell(col, row) {
+    const v = _value(col, row);
+    if (v === null || v === undefined || v === '') return '';
+    const pad = n => String(n).padStart(2, '0');
+    switch (col.type) {
+      case 'money':  return Number(v).toFixed(2);
+      case 'number': return String(Number(v));
+      case 'date':
+      case 'datetime': {
+        const p = _dateParts(v);
+        if (!p) return String(v);
+        const day = `${p[0]}-${pad(p[1])}-${pad(p[2])}`;
+        return col.type === 'date' ? day : `${day} ${pad(p[3])}:${pad(p[4])}`;
+      }
+      default: {
+        const s = String(v);
+        return /^[=+\-@]/.test(s) && !/^[+-]?\d[\d\s]*$/.test(s) ? `'${s}` : s;
+      }
+    }
+  }
+
+  // ── CSV ────────────────────────────────────────────────────────────────────
+
+  function _csvField(s) {
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  /**
+   * CSV with a byte-order mark so Excel reads it as UTF-8 (₦, →)
+   * @returns {string}
+   */
+  function toCSV(columns, rows) {
+    const lines = [columns.map(c => _csvField(c.header))];
+    rows.forEach(row => lines.push(columns.map(c => _csvField(formatCell(c, row)))));
+    return '﻿' + lines.map(l => l.join(',')).join('\r\n') + '\r\n';
+  }
+
+  // ── XLSX ───────────────────────────────────────────────────────────────────
+
+  // Cell styles in styles.xml, by index
+  const STYLE = { text: 0, header: 1, money: 2, date: 3, datetime: 4, number: 0 };
+
+  const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+</styleSheet>`;
+
+  function _xml(s) {
+    return String(s)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+      // Control characters aren't allowed in XML
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+  }
+
+  function _colName(i) {
+    let s = '';
+    for (i++; i > 0; i = Math.floor((i - 1) / 26)) s = String.fromCharCode(65 + (i - 1) % 26) + s;
+    return s;
+  }
+
+  // Days since 1899-12-30, the spreadsheet epoch, with the time as a fraction
+  function _serial(p) {
+    const days = (Date.UTC(p[0], p[1] - 1, p[2]) - Date.UTC(1899, 11, 30)) / 86400000;
+    return days + (p[3] * 60 + p[4]) / 1440;
+  }
+
+  function _cell(col, row, ref) {
+    const v = _value(col, row);
+    if (v === null || v === undefined || v === '') return '';
+    const type = col.type || 'text';
+    if (type === 'money' || type === 'number') {
+      const n = Number(v);
+      if (!isNaN(n)) return `<c r="${ref}" s="${STYLE[type]}"><v>${n}</v></c>`;
+    }
+    if (type === 'date' || type === 'datetime') {
+      const p = _dateParts(v);
+      if (p) return `<c r="${ref}" s="${STYLE[type]}"><v>${_serial(p)}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${_xml(v)}</t></is></c>`;
+  }
+
+  function _sheetXML({ columns, rows }) {
+    const widths = columns.map(c => Math.min(50, Math.max(
+      String(c.header).length,
+      ...rows.slice(0, 200).map(r => formatCell(c, r).length),
+    ) + 2));
+    const header = columns.map((c, i) =>
+      `<c r="${_colName(i)}1" t="inlineStr" s="${STYLE.header}"><is><t>${_xml(c.header)}</t></is></c>`).join('');
+    const body = rows.map((row, r) =>
+      `<row r="${r + 2}">${columns.map((c, i) => _cell(c, row, `${_colName(i)}${r + 2}`)).join('')}</row>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>
+<sheetData><row r="1">${header}</row>${body}</sheetData>
+</worksheet>`;
+  }
+
+  /**
+   * A workbook with one sheet per { name, columns, rows }
+   * @returns {Uint8Array} .xlsx file
+   */
+  function toXLSX(sheets) {
+    const names = sheets.map((s, i) => (String(s.name || `Sheet${i + 1}`).replace(/[\[\]:*?/\\]/g, ' ').slice(0, 31)));
+    const files = {
+      '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`,
+      '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+      'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${names.map((n, i) => `<sheet name="${_xml(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>
+</workbook>`,
+      'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`,
+      'xl/styles.xml': STYLES_XML,
+    };
+    sheets.forEach((s, i) => { files[`xl/worksheets/sheet${i + 1}.xml`] = _sheetXML(s); });
+    return _zip(files);
+  }
+
+  // ── Zip (stored, no compression) ───────────────────────────────────────────
+
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+
+  function _crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  function _zip(files) {
+    const enc     = new TextEncoder();
+    const now     = new Date();
+    const time    = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date    = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const locals  = [];
+    const central = [];
+    let offset = 0;
+
+    for (const [name, content] of Object.entries(files)) {
+      const nameBytes = enc.encode(name);
+      const data      = enc.encode(content);
+      const crc       = _crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true);          // names are UTF-8
+      local.setUint16(8, 0, true);               // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      locals.push(new Uint8Array(local.buffer), nameBytes, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, nameBytes.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(new Uint8Array(entry.buffer), nameBytes);
+
+      offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = central.reduce((s, b) => s + b.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, Object.keys(files).length, true);
+    end.setUint16(10, Object.keys(files).length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...locals, ...central, new Uint8Array(end.buffer)];
+    const out   = new Uint8Array(parts.reduce((s, b) => s + b.length, 0));
+    let at = 0;
+    for (const p of parts) { out.set(p, at); at += p.length; }
+    return out;
+  }
+
+  // ── Download ───────────────────────────────────────────────────────────────
+
+  const MIME = {
+    csv:  'text/csv;charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  };
+
+  function download(content, filename) {
+    const ext  = filename.split('.').pop();
+    const blob = new Blob([content], { type: MIME[ext] || 'application/octet-stream' });
+    const url  = URL.createObjectURL(blob);
+    const a    = document.createElement('a');
+    a.href     = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Build and download sheets as `${basename}.csv` or `.xlsx`.
+   * CSV holds one sheet, so extra sheets are downloaded as their own files.
+   */
+  function exportSheets(sheets, basename, format = 'csv') {
+    if (format === 'xlsx') {
+      download(toXLSX(sheets), `${basename}.xlsx`);
+      return;
+    }
+    sheets.forEach((s, i) => {
+      const suffix = i === 0 ? '' : `-${String(s.name).toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+      download(toCSV(s.columns, s.rows), `${basename}${suffix}.csv`);
+    });
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return { formatCell, toCSV, toXLSX, download, exportSheets };
+
+})();
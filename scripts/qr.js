@@ -0,0 +1,315 @@
+/**
+ * qr.js
+ * QR codes drawn in the browser, with no network or library
+ * Handles: byte-mode encoding, Reed–Solomon error correction, module
+ *          placement and masking, SVG output
+ *
+ * Medium error correction (about 15% of the code can be damaged), versions
+ * 1–10, so up to 213 bytes of UTF-8 — plenty for a booking reference.
+ */
+
+const QR = (() => {
+
+  // Medium error correction, per version: EC codewords per block, then
+  // [block count, data codewords per block] for each group of blocks
+  const BLOCKS = [
+    null,
+    [10, [1, 16]],
+    [16, [1, 28]],
+    [26, [1, 44]],
+    [18, [2, 32]],
+    [24, [2, 43]],
+    [16, [4, 27]],
+    [18, [4, 31]],
+    [22, [2, 38], [2, 39]],
+    [22, [3, 36], [2, 37]],
+    [26, [4, 43], [1, 44]],
+  ];
+
+  // Centre rows/columns of the alignment patterns, per version
+  const ALIGNMENT = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50],
+  ];
+
+  const MAX_VERSION = BLOCKS.length - 1;
+  const EC_MEDIUM   = 0b00;   // format bits for the medium level
+
+  // ── Reed–Solomon over GF(256) ──────────────────────────────────────────────
+
+  function _mul(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function _divisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = _mul(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = _mul(root, 0x02);
+    }
+    return result;
+  }
+
+  function _remainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((d, i) => { result[i] ^= _mul(d, factor); });
+    }
+    return result;
+  }
+
+  // ── Codewords ──────────────────────────────────────────────────────────────
+
+  const _dataCodewords = v => BLOCKS[v].slice(1).reduce((n, [count, size]) => n + count * size, 0);
+  const _countBits     = v => v < 10 ? 8 : 16;
+
+  function _version(byteCount) {
+    for (let v = 1; v <= MAX_VERSION; v++) {
+      if (4 + _countBits(v) + byteCount * 8 <= _dataCodewords(v) * 8) return v;
+    }
+    throw new Error('Too much text for a QR code.');
+  }
+
+  // Mode, length and bytes, then terminator and padding to fill the version
+  function _data(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    const capacity = _dataCodewords(version) * 8;
+    push(0b0100, 4);
+    push(bytes.length, _countBits(version));
+    bytes.forEach(b => push(b, 8));
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((b, bit) => (b << 1) | bit, 0));
+    }
+    for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) codewords.push(pad);
+    return codewords;
+  }
+
+  // Split into blocks, add error correction to each, and interleave
+  function _codewords(data, version) {
+    const [ecLength, ...groups] = BLOCKS[version];
+    const divisor = _divisor(ecLength);
+    const blocks  = [];
+    let at = 0;
+    for (const [count, size] of groups) {
+      for (let i = 0; i < count; i++) {
+        const block = data.slice(at, at += size);
+        blocks.push({ data: block, ec: _remainder(block, divisor) });
+      }
+    }
+
+    const result  = [];
+    const longest = Math.max(...blocks.map(b => b.data.length));
+    for (let i = 0; i < longest; i++) {
+      blocks.forEach(b => { if (i < b.data.length) result.push(b.data[i]); });
+    }
+    for (let i = 0; i < ecLength; i++) blocks.forEach(b => result.push(b.ec[i]));
+    return result;
+  }
+
+  // ── Matrix ─────────────────────────────────────────────────────────────────
+
+  const _bit = (value, i) => ((value >>> i) & 1) === 1;
+
+  function _matrix(version) {
+    const size     = version * 4 + 17;
+    const modules  = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x]  = dark;
+      reserved[y][x] = true;
+    };
+
+    // Timing lines, then finders over their ends
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx, y = cy + dy;
+          const ring = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, ring !== 2 && ring !== 4);
+        }
+      }
+    }
+
+    // Alignment patterns, except where they would sit on a finder
+    const centres = ALIGNMENT[version];
+    const last    = centres.length - 1;
+    centres.forEach((cy, i) => centres.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+
+    // Version information, from version 7
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + i % 3, b = Math.floor(i / 3);
+        set(a, b, _bit(bits, i));
+        set(b, a, _bit(bits, i));
+      }
+    }
+
+    _format(modules, reserved, 0);
+    return { size, modules, reserved };
+  }
+
+  // Error correction level and mask, twice over, plus the dark module
+  function _format(modules, reserved, mask) {
+    const size = modules.length;
+    const set  = (x, y, dark) => {
+      modules[y][x]  = dark;
+      reserved[y][x] = true;
+    };
+    const data = (EC_MEDIUM << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) set(8, i, _bit(bits, i));
+    set(8, 7, _bit(bits, 6));
+    set(8, 8, _bit(bits, 7));
+    set(7, 8, _bit(bits, 8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, _bit(bits, i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, _bit(bits, i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, _bit(bits, i));
+    set(8, size - 8, true);
+  }
+
+  // Two columns at a time from the bottom right, snaking up and down
+  function _place({ size, modules, reserved }, codewords) {
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let vert = 0; vert < size; vert++) {
+        const y = upward ? size - 1 - vert : vert;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (reserved[y][x] || i >= codewords.length * 8) continue;
+          modules[y][x] = _bit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+
+  // ── Masks ──────────────────────────────────────────────────────────────────
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+  ];
+
+  function _applyMask({ size, modules, reserved }, mask) {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+
+  // How hard the code is to scan: long runs, solid blocks, finder
+  // look-alikes and an uneven dark/light balance all cost points
+  function _penalty(modules) {
+    const size  = modules.length;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i].map(Number).join(''));
+      lines.push(modules.map(row => Number(row[i])).join(''));
+    }
+
+    let score = 0;
+    for (const line of lines) {
+      for (const run of line.match(/0{5,}|1{5,}/g) || []) score += run.length - 2;
+      score += 40 * (line.match(/(?=00001011101|10111010000)/g) || []).length;
+    }
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+    const dark = modules.reduce((n, row) => n + row.filter(Boolean).length, 0);
+    score += 10 * Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size));
+    return score;
+  }
+
+  // ── Entry points ───────────────────────────────────────────────────────────
+
+  /**
+   * The modules of a QR code for some text, true for dark
+   * @param {string} text
+   * @returns {{ size: number, modules: boolean[][] }}
+   */
+  function encode(text) {
+    const bytes     = [...new TextEncoder().encode(String(text))];
+    const version   = _version(bytes.length);
+    const codewords = _codewords(_data(bytes, version), version);
+
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+      const m = _matrix(version);
+      _place(m, codewords);
+      _applyMask(m, mask);
+      _format(m.modules, m.reserved, mask);
+      const score = _penalty(m.modules);
+      if (!best || score < best.score) best = { score, size: m.size, modules: m.modules };
+    }
+    return { size: best.size, modules: best.modules };
+  }
+
+  /**
+   * A QR code as an SVG image that scales to whatever box it is put in
+   * @param {string} text
+   * @param {{ margin?: number, dark?: string, light?: string }} options
+   *   margin is the quiet zone in modules; scanners want at least 4
+   * @returns {string} SVG markup
+   */
+  function toSVG(text, { margin = 4, dark = '#000', light = '#fff' } = {}) {
+    const { size, modules } = encode(text);
+    const full = size + margin * 2;
+    let path = '';
+    modules.forEach((row, y) => row.forEach((on, x) => {
+      if (on) path += `M${x + margin},${y + margin}h1v1h-1z`;
+    }));
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" shape-rendering="crispEdges">`
+      + `<rect width="${full}" height="${full}" fill="${light}"/><path d="${path}" fill="${dark}"/></svg>`;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return { encode, toSVG };
+
+})();
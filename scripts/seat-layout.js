@@ -0,0 +1,101 @@
+/**
+ * seat-layout.js
+ * Seat maps for vehicle types
+ * A layout is stored as JSON on vehicles.layout:
+ *   { rows: 4, cols: 4, aisles: [2], driver: 'left' }
+ * aisles are 0-based column indexes with no seats; the driver takes the
+ * first or last seat column of the front row. Seats are numbered 1..capacity
+ * left to right, front to back.
+ */
+
+const SeatLayout = (() => {
+
+  const DRIVER_SIDES = ['left', 'right'];
+
+  /**
+   * Sensible layout for a vehicle with no stored one:
+   * four abreast for buses up to 18 seats, two-and-two with an aisle above that.
+   */
+  function defaultLayout(capacity) {
+    const wide = capacity > 18;
+    return {
+      rows:   Math.ceil((capacity + 1) / 4),
+      cols:   wide ? 5 : 4,
+      aisles: wide ? [2] : [],
+      driver: 'left',
+    };
+  }
+
+  /**
+   * Read a stored layout, falling back to the default for missing or bad JSON
+   */
+  function parse(json, capacity) {
+    if (!json) return defaultLayout(capacity);
+    try {
+      const l = typeof json === 'string' ? JSON.parse(json) : json;
+      return {
+        rows:   parseInt(l.rows) || 1,
+        cols:   parseInt(l.cols) || 1,
+        aisles: Array.isArray(l.aisles) ? l.aisles.map(Number) : [],
+        driver: DRIVER_SIDES.includes(l.driver) ? l.driver : 'left',
+      };
+    } catch {
+      return defaultLayout(capacity);
+    }
+  }
+
+  function _seatCols(layout) {
+    const cols = [];
+    for (let c = 0; c < layout.cols; c++) {
+      if (!layout.aisles.includes(c)) cols.push(c);
+    }
+    return cols;
+  }
+
+  /**
+   * Number of seats a layout provides (excluding the driver)
+   */
+  function seatCount(layout) {
+    return Math.max(0, layout.rows * _seatCols(layout).length - 1);
+  }
+
+  /**
+   * Grid of cells, row by row. Each cell is one of:
+   *   { kind: 'seat', no }  { kind: 'driver' }  { kind: 'aisle' }  { kind: 'empty' }
+   * Seats beyond capacity come out as 'empty'.
+   */
+  function cells(layout, capacity) {
+    const seatCols  = _seatCols(layout);
+    const driverCol = layout.driver === 'right' ? seatCols[seatCols.length - 1] : seatCols[0];
+    const grid = [];
+    let no = 0;
+    for (let r = 0; r < layout.rows; r++) {
+      const row = [];
+      for (let c = 0; c < layout.cols; c++) {
+        if (layout.aisles.includes(c))         row.push({ kind: 'aisle' });
+        else if (r === 0 && c === driverCol)   row.push({ kind: 'driver' });
+        else if (no < capacity)                row.push({ kind: 'seat', no: ++no });
+        else                                   row.push({ kind: 'empty' });
+      }
+      grid.push(row);
+    }
+    return grid;
+  }
+
+  /**
+   * Throws if the layout can't seat the vehicle's capacity
+   */
+  function validate(layout, capacity) {
+    if (layout.rows < 1 || layout.cols < 1) throw new Error('Layout needs at least one row and one column.');
+    if (layout.aisles.some(a => a < 0 || a >= layout.cols)) throw new Error('Aisle is outside the layout.');
+    const seats = seatCount(layout);
+    if (seats < capacity) {
+      throw new Error(`Layout has ${seats} seats but the vehicle carries ${capacity}.`);
+    }
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return { DRIVER_SIDES, defaultLayout, parse, seatCount, cells, validate };
+
+})();
@@ -0,0 +1,237 @@
+/**
+ * signin.js
+ * Operator sign-in screen shared by every page
+ * Handles: PIN sign-in before a page can be used, setting up the first
+ *          manager on a new install, the header's operator button (switch
+ *          operator, change own PIN), hiding controls a role may not use
+ *
+ * Elements with data-perm="<permission>" are hidden from operators who
+ * lack it. Pages call SignIn.ensure() after DB.init().
+ */
+
+const SignIn = (() => {
+
+  const STYLE = `
+    #signin {
+      position: fixed; inset: 0; z-index: 300;
+      background: var(--bg);
+      display: flex; align-items: center; justify-content: center;
+      padding: 16px;
+    }
+    #signin form {
+      width: 100%; max-width: 320px;
+      background: var(--surface);
+      border: 1px solid var(--border);
+      border-radius: var(--radius);
+      padding: 18px;
+      display: flex; flex-direction: column; gap: 10px;
+    }
+    #signin h2 {
+      font-family: var(--font-mono);
+      font-size: 0.7rem; font-weight: 500;
+      letter-spacing: 0.12em; text-transform: uppercase;
+      color: var(--amber);
+    }
+    #signin p { font-size: 0.78rem; color: var(--muted); }
+    #signin input, #signin select {
+      background: var(--surface2);
+      border: 1px solid var(--border);
+      border-radius: var(--radius);
+      color: var(--text);
+      font-family: var(--font-sans);
+      font-size: 0.9rem;
+      padding: 10px;
+      outline: none;
+    }
+    #signin input:focus, #signin select:focus { border-color: var(--amber); }
+    #signin input[inputmode=numeric] { font-family: var(--font-mono); letter-spacing: 0.3em; }
+    #signin button {
+      border-radius: var(--radius);
+      padding: 10px;
+      font-family: var(--font-mono);
+      font-size: 0.75rem; letter-spacing: 0.08em;
+      cursor: pointer;
+      background: transparent;
+      border: 1px solid var(--border);
+      color: var(--muted);
+    }
+    #signin button[type=submit] { background: var(--amber); border-color: var(--amber); color: #000; }
+    #signin .signin-error { color: var(--danger); min-height: 1em; }
+    .op-btn {
+      margin-left: auto;
+      background: transparent;
+      border: 1px solid var(--border);
+      color: var(--muted);
+      border-radius: 4px;
+      padding: 4px 10px;
+      font-family: var(--font-mono);
+      font-size: 0.65rem;
+      letter-spacing: 0.06em;
+      cursor: pointer;
+    }
+    .op-btn:hover { color: var(--text); border-color: var(--muted); }
+  `;
+
+  const PIN_INPUT = (id, placeholder) =>
+    `<input type="password" id="${id}" inputmode="numeric" autocomplete="off" maxlength="8" placeholder="${placeholder}" />`;
+
+  let _resolve = null;   // settles ensure() once someone signs in
+
+  // ── Screen ─────────────────────────────────────────────────────────────────
+
+  function _style() {
+    if (document.getElementById('signin-style')) return;
+    const style = document.createElement('style');
+    style.id = 'signin-style';
+    style.textContent = STYLE;
+    document.head.appendChild(style);
+  }
+
+  function _screen(html, onSubmit) {
+    _close();
+    const el = document.createElement('div');
+    el.id = 'signin';
+    el.innerHTML = `<form>${html}<span class="signin-error" id="signinError"></span></form>`;
+    el.querySelector('form').addEventListener('submit', async e => {
+      e.preventDefault();
+      try {
+        await onSubmit();
+      } catch (err) {
+        document.getElementById('signinError').textContent = err.message;
+      }
+    });
+    document.body.appendChild(el);
+    el.querySelector('input, select')?.focus();
+  }
+
+  function _close() {
+    document.getElementById('signin')?.remove();
+  }
+
+  const _val = id => document.getElementById(id).value;
+
+  function _newPin(pinId, confirmId) {
+    if (_val(pinId) !== _val(confirmId)) throw new Error('The two PINs do not match.');
+    return _val(pinId);
+  }
+
+  // First run: nobody can sign in until there is a manager
+  function _setup() {
+    _screen(`
+      <h2>Set up the first manager</h2>
+      <p>Every booking, payment and change is recorded against whoever is signed in.</p>
+      <input type="text" id="signinName" placeholder="Your name" autocomplete="off" />
+      ${PIN_INPUT('signinPin', 'PIN (4–8 digits)')}
+      ${PIN_INPUT('signinPin2', 'PIN again')}
+      <button type="submit">Create &amp; sign in</button>
+    `, async () => {
+      const pin = _newPin('signinPin', 'signinPin2');
+      const op  = await DBOperators.addOperator({ name: _val('signinName'), role: 'manager', pin });
+      _signedIn(await DBOperators.signIn(op.id, pin));
+    });
+  }
+
+  function _signIn() {
+    const ops = DBOperators.getOperators({ activeOnly: true });
+    _screen(`
+      <h2>Sign in</h2>
+      <select id="signinWho">
+        <option value="">Who is signing in?</option>
+        ${ops.map(o => `<option value="${o.id}">${DB.escapeHtml(o.name)} · ${o.role}</option>`).join('')}
+      </select>
+      ${PIN_INPUT('signinPin', 'PIN')}
+      <button type="submit">Sign in</button>
+    `, async () => {
+      const pin = document.getElementById('signinPin');
+      try {
+        _signedIn(await DBOperators.signIn(Number(_val('signinWho')), pin.value));
+      } finally {
+        pin.value = '';
+      }
+    });
+  }
+
+  function _account() {
+    const op = DBOperators.current();
+    _screen(`
+      <h2>${DB.escapeHtml(op.name)} · ${op.role}</h2>
+      ${PIN_INPUT('signinPin', 'New PIN')}
+      ${PIN_INPUT('signinPin2', 'New PIN again')}
+      <button type="submit">Change my PIN</button>
+      <button type="button" id="signinOut">Sign out</button>
+      <button type="button" id="signinClose">Close</button>
+    `, async () => {
+      await DBOperators.setPin(op.id, _newPin('signinPin', 'signinPin2'));
+      _close();
+      toast('PIN changed', 'success');
+    });
+    document.getElementById('signinClose').onclick = _close;
+    document.getElementById('signinOut').onclick = () => {
+      DBOperators.signOut();
+      location.reload();
+    };
+  }
+
+  function _signedIn(op) {
+    _close();
+    _apply(op);
+    if (_resolve) _resolve(op);
+    _resolve = null;
+  }
+
+  // Show who is signed in and hide what their role can't use. Signing out
+  // reloads the page, so nothing hidden here needs showing again.
+  function _apply(op) {
+    const btn = document.getElementById('operatorBtn');
+    if (btn) btn.textContent = op.name;
+    document.querySelectorAll('[data-perm]').forEach(el => {
+      if (!DBOperators.can(el.dataset.perm, op)) el.style.display = 'none';
+    });
+  }
+
+  // ── Entry points ───────────────────────────────────────────────────────────
+
+  /**
+   * Resolves with the signed-in operator, showing the sign-in screen first
+   * if nobody is signed in on this tab
+   * @returns {Promise<Object>}
+   */
+  function ensure() {
+    _style();
+    const op = DBOperators.resume();
+    if (op) {
+      _apply(op);
+      return Promise.resolve(op);
+    }
+    return new Promise(resolve => {
+      _resolve = resolve;
+      DBOperators.hasOperators() ? _signIn() : _setup();
+    });
+  }
+
+  /**
+   * The header's operator button: change PIN or hand over to someone else
+   */
+  function account() {
+    if (DBOperators.current()) _account();
+  }
+
+  /**
+   * Whether the signed-in operator may do something. Tells them why not
+   * with the page's toast.
+   */
+  function allow(permission) {
+    try {
+      DBOperators.assert(permission);
+      return true;
+    } catch (err) {
+      toast(err.message, 'error');
+      return false;
+    }
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return { ensure, account, allow };
+
+})();